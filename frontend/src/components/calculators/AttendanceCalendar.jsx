@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { CalendarCheck, RotateCcw } from 'lucide-react';
+import { monthNames } from '@/lib/ptRules';
+import { dayTypes, paymentDayBases, weekdayNames } from '@/lib/attendance';
+
+const dayTypeStyles = {
+  present: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/40 dark:text-emerald-300',
+  paidLeave: 'bg-sky-100 text-sky-800 dark:bg-sky-900/40 dark:text-sky-300',
+  sickLeave: 'bg-violet-100 text-violet-800 dark:bg-violet-900/40 dark:text-violet-300',
+  lop: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+  halfDay: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300',
+  holiday: 'bg-pink-100 text-pink-800 dark:bg-pink-900/40 dark:text-pink-300',
+  weeklyOff: 'bg-slate-200 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+};
+
+const AttendanceCalendar = ({ employee, year, month, days, setDays, summary, settings, setSettings }) => {
+  const [brush, setBrush] = useState('lop');
+  const leadingBlanks = new Date(year, month - 1, 1).getDay();
+
+  const markDay = (idx) => setDays(days.map((type, i) => (i === idx ? (type === brush ? 'present' : brush) : type)));
+
+  return (
+    <Card className="shadow-xl border-teal-200 dark:border-teal-800">
+      <CardHeader className="bg-gradient-to-r from-teal-500 to-emerald-600 text-white">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <CalendarCheck className="h-6 w-6" />
+            <span>Attendance — {employee} · {monthNames[month - 1]} {year}</span>
+          </div>
+          <Button variant="secondary" size="icon" onClick={() => setDays(null)} title="Reset to weekly-offs only">
+            <RotateCcw className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+          <div className="flex items-center gap-2 pb-2">
+            <Switch checked={settings.apply} onCheckedChange={(v) => setSettings({ ...settings, apply: v })} />
+            <Label className="text-xs">Derive payment days from attendance</Label>
+          </div>
+          <div>
+            <Label className="text-xs">Payment Days Basis</Label>
+            <Select value={settings.basis} onValueChange={(v) => setSettings({ ...settings, basis: v })}>
+              <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                {Object.entries(paymentDayBases).map(([key, label]) => (
+                  <SelectItem key={key} value={key}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="text-sm">
+            Payment days <b>{summary.paymentDays}</b> of <b>{summary.monthDays}</b>
+            {summary.unpaidDays > 0 && <span className="text-red-600 dark:text-red-400"> · {summary.unpaidDays} LOP</span>}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-1">
+          {Object.entries(dayTypes).map(([type, dt]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => setBrush(type)}
+              className={`px-2 py-1 rounded text-xs ${dayTypeStyles[type]} ${brush === type ? 'ring-2 ring-teal-500' : ''}`}
+            >
+              {dt.short} · {dt.label} ({summary.counts[type]})
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-7 gap-1 text-xs">
+          {weekdayNames.map((d) => <div key={d} className="text-center font-semibold text-slate-500 dark:text-slate-400">{d}</div>)}
+          {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+          {days.map((type, idx) => (
+            <button
+              key={idx}
+              type="button"
+              onClick={() => markDay(idx)}
+              title={dayTypes[type].label}
+              className={`h-12 rounded flex flex-col items-center justify-center ${dayTypeStyles[type]}`}
+            >
+              <span className="font-semibold">{idx + 1}</span>
+              <span className="text-[10px]">{dayTypes[type].short}</span>
+            </button>
+          ))}
+        </div>
+
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          Pick a day type, then click days to mark them (click again to set back to present). Leave, holidays and weekly-offs
+          are paid; each LOP day and half of each half-day is deducted from the {paymentDayBases[summary.basis].toLowerCase()}
+          {summary.basis === 'working' ? ' (calendar days less weekly-offs and holidays)' : ''}.
+          {!settings.apply && ' Payment days are entered by hand while this is off.'}
+        </p>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AttendanceCalendar;
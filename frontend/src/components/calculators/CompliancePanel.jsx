@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ShieldCheck, ShieldAlert, Settings2 } from 'lucide-react';
+import { severityLevels, skillCategories, minimumWages } from '@/lib/compliance';
+
+const severityStyles = {
+  error: 'border-red-300 bg-red-50 text-red-800 dark:border-red-700 dark:bg-red-900/20 dark:text-red-300',
+  warning: 'border-amber-300 bg-amber-50 text-amber-800 dark:border-amber-700 dark:bg-amber-900/20 dark:text-amber-300',
+  info: 'border-sky-300 bg-sky-50 text-sky-800 dark:border-sky-700 dark:bg-sky-900/20 dark:text-sky-300',
+};
+
+const ruleLabels = {
+  wageRule: 'Labour Code wage rule',
+  minimumWage: 'Minimum wages',
+  bonusThreshold: 'Bonus eligibility crossing',
+  fixedTooHigh: 'Fixed allowance overflow',
+  negativeNet: 'Negative net pay',
+};
+
+const CompliancePanel = ({ compliance, rules, setRules, structure }) => {
+  const [showSettings, setShowSettings] = useState(false);
+  const { checks, violations } = compliance;
+
+  const setRule = (id, changes) => setRules({ ...rules, [id]: { ...rules[id], ...changes } });
+  const toggleWageComponent = (abbr, on) => {
+    const current = rules.wageRule.wageComponents;
+    setRule('wageRule', { wageComponents: on ? [...current, abbr] : current.filter((a) => a !== abbr) });
+  };
+
+  return (
+    <Card className="shadow-xl border-emerald-200 dark:border-emerald-800">
+      <CardHeader className={`bg-gradient-to-r text-white ${violations.length ? 'from-rose-500 to-red-600' : 'from-emerald-500 to-teal-600'}`}>
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            {violations.length ? <ShieldAlert className="h-6 w-6" /> : <ShieldCheck className="h-6 w-6" />}
+            <span>Compliance{violations.length ? ` — ${violations.length} issue${violations.length > 1 ? 's' : ''}` : ''}</span>
+          </div>
+          <Button variant="secondary" size="icon" onClick={() => setShowSettings(!showSettings)} title="Rule settings" data-html2canvas-ignore>
+            <Settings2 className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-2">
+        {checks.length === 0 && <p className="text-sm text-slate-500 dark:text-slate-400">All compliance rules are switched off.</p>}
+        {checks.map((check) => (
+          <div
+            key={check.id}
+            className={`p-2 rounded-lg border text-sm ${check.ok ? 'border-emerald-200 dark:border-emerald-800 text-slate-700 dark:text-slate-300' : severityStyles[check.severity]}`}
+          >
+            <div className="flex items-center justify-between font-semibold">
+              <span>{check.ok ? '✓' : '✗'} {check.title}</span>
+              {!check.ok && <span className="text-[10px] uppercase tracking-wide">{check.severity}</span>}
+            </div>
+            <div className="text-xs mt-0.5">{check.message}</div>
+          </div>
+        ))}
+
+        {showSettings && (
+          <div className="space-y-3 pt-2 border-t border-slate-200 dark:border-slate-700" data-html2canvas-ignore>
+            {Object.keys(ruleLabels).map((id) => (
+              <div key={id} className="grid grid-cols-3 gap-2 items-center">
+                <div className="flex items-center gap-2 col-span-2">
+                  <Switch checked={rules[id].enabled} onCheckedChange={(v) => setRule(id, { enabled: v })} />
+                  <Label className="text-xs">{ruleLabels[id]}</Label>
+                </div>
+                <Select value={rules[id].severity} onValueChange={(v) => setRule(id, { severity: v })}>
+                  <SelectTrigger className="h-8 text-xs"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {severityLevels.map((level) => <SelectItem key={level} value={level}>{level}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+
+            <div>
+              <Label className="text-xs">Wages = (min share of remuneration %)</Label>
+              <div className="grid grid-cols-2 gap-2 mt-1 items-center">
+                <Input type="number" value={Math.round(rules.wageRule.minShare * 100)}
+                  onChange={(e) => setRule('wageRule', { minShare: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })} className="h-8 text-xs" />
+                <div className="flex flex-wrap gap-2">
+                  {structure.map((c) => (
+                    <div key={c.abbr} className="flex items-center gap-1">
+                      <Checkbox id={`wage-${c.abbr}`} checked={rules.wageRule.wageComponents.includes(c.abbr)} onCheckedChange={(v) => toggleWageComponent(c.abbr, v)} />
+                      <Label htmlFor={`wage-${c.abbr}`} className="text-xs">{c.abbr}</Label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+              <div>
+                <Label className="text-xs">Min. Wage State</Label>
+                <Select value={rules.minimumWage.state} onValueChange={(v) => setRule('minimumWage', { state: v })}>
+                  <SelectTrigger className="h-8 text-xs mt-1"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="auto">Employee's PT state</SelectItem>
+                    {Object.entries(minimumWages).map(([code, st]) => <SelectItem key={code} value={code}>{st.name}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-xs">Skill</Label>
+                <Select value={rules.minimumWage.skill} onValueChange={(v) => setRule('minimumWage', { skill: v })}>
+                  <SelectTrigger className="h-8 text-xs mt-1"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(skillCategories).map(([key, label]) => <SelectItem key={key} value={key}>{label}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-xs">Override (₹/month)</Label>
+                <Input type="number" placeholder="Table rate" value={rules.minimumWage.override ?? ''}
+                  onChange={(e) => setRule('minimumWage', { override: e.target.value === '' ? null : Math.max(0, Math.round(parseFloat(e.target.value) || 0)) })}
+                  className="h-8 text-xs mt-1" />
+              </div>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CompliancePanel;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { FileText, ChevronDown, ChevronUp } from 'lucide-react';
+import { sec80CItems, declarationCaps } from '@/lib/declarations';
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const DeclarationsForm = ({ declarations, setDeclarations, summary, regime }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const amount = (value) => Math.max(0, Math.round(parseFloat(value) || 0));
+  const set80C = (key, value) =>
+    setDeclarations({ ...declarations, sec80C: { ...declarations.sec80C, [key]: amount(value) } });
+  const set80D = (key, value) =>
+    setDeclarations({ ...declarations, sec80D: { ...declarations.sec80D, [key]: value } });
+  const setField = (key, value) => setDeclarations({ ...declarations, [key]: amount(value) });
+
+  return (
+    <Card className="shadow-lg border-teal-200 dark:border-teal-800">
+      <CardHeader className="bg-gradient-to-r from-teal-500 to-cyan-600 text-white">
+        <CardTitle className="text-base flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <FileText className="h-5 w-5" />
+            <span>Tax Declarations</span>
+          </div>
+          <Button onClick={() => setExpanded(!expanded)} size="sm" variant="secondary">
+            {expanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-3">
+        {regime === 'new' && (
+          <p className="text-xs text-amber-700 dark:text-amber-400">
+            New regime: only the employer NPS contribution under 80CCD(2) is deductible.
+          </p>
+        )}
+
+        {expanded && (
+          <div className="space-y-4">
+            <div>
+              <Label className="text-sm font-semibold">
+                Section 80C (cap {formatRupees(declarationCaps.sec80C)}, employee PF included automatically)
+              </Label>
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                {sec80CItems.map((item) => (
+                  <div key={item.key}>
+                    <Label className="text-xs">{item.label}</Label>
+                    <Input
+                      type="number"
+                      value={declarations.sec80C[item.key]}
+                      onChange={(e) => set80C(item.key, e.target.value)}
+                      className="text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <Label className="text-sm font-semibold">Section 80D (Health Insurance)</Label>
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                <div>
+                  <Label className="text-xs">Self / Family Premium</Label>
+                  <Input
+                    type="number"
+                    value={declarations.sec80D.selfFamily}
+                    onChange={(e) => set80D('selfFamily', amount(e.target.value))}
+                    className="text-sm"
+                  />
+                </div>
+                <div className="flex items-center gap-2 pt-5">
+                  <Switch checked={declarations.sec80D.selfSenior} onCheckedChange={(v) => set80D('selfSenior', v)} />
+                  <Label className="text-xs">Self is senior citizen</Label>
+                </div>
+                <div>
+                  <Label className="text-xs">Parents Premium</Label>
+                  <Input
+                    type="number"
+                    value={declarations.sec80D.parents}
+                    onChange={(e) => set80D('parents', amount(e.target.value))}
+                    className="text-sm"
+                  />
+                </div>
+                <div className="flex items-center gap-2 pt-5">
+                  <Switch checked={declarations.sec80D.parentsSenior} onCheckedChange={(v) => set80D('parentsSenior', v)} />
+                  <Label className="text-xs">Parents are senior citizens</Label>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <Label className="text-xs">80CCD(1B) NPS (own)</Label>
+                <Input type="number" value={declarations.sec80CCD1B} onChange={(e) => setField('sec80CCD1B', e.target.value)} className="text-sm" />
+              </div>
+              <div>
+                <Label className="text-xs">24(b) Home Loan Interest</Label>
+                <Input type="number" value={declarations.sec24b} onChange={(e) => setField('sec24b', e.target.value)} className="text-sm" />
+              </div>
+              <div>
+                <Label className="text-xs">80E Education Loan Interest</Label>
+                <Input type="number" value={declarations.sec80E} onChange={(e) => setField('sec80E', e.target.value)} className="text-sm" />
+              </div>
+              <div>
+                <Label className="text-xs">80G Donations (qualifying)</Label>
+                <Input type="number" value={declarations.sec80G} onChange={(e) => setField('sec80G', e.target.value)} className="text-sm" />
+              </div>
+              <div className="col-span-2">
+                <Label className="text-xs">80CCD(2) Employer NPS Contribution (Annual)</Label>
+                <Input type="number" value={declarations.employerNps} onChange={(e) => setField('employerNps', e.target.value)} className="text-sm" />
+              </div>
+            </div>
+          </div>
+        )}
+
+        <table className="w-full text-xs border-collapse">
+          <thead>
+            <tr className="bg-gradient-to-r from-teal-100 to-cyan-100 dark:from-teal-900/40 dark:to-cyan-900/40">
+              <th className="py-1 px-2 text-left font-semibold">Section</th>
+              <th className="py-1 px-2 text-right font-semibold">Claimed</th>
+              <th className="py-1 px-2 text-right font-semibold">Cap</th>
+              <th className="py-1 px-2 text-right font-semibold">Allowed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.lines.filter((l) => l.claimed > 0).map((l) => (
+              <tr key={l.section} className="border-b">
+                <td className="py-1 px-2">{l.label}</td>
+                <td className="py-1 px-2 text-right">{formatRupees(l.claimed)}</td>
+                <td className="py-1 px-2 text-right">{l.cap == null ? '—' : formatRupees(l.cap)}</td>
+                <td className="py-1 px-2 text-right font-semibold">{formatRupees(l.allowed)}</td>
+              </tr>
+            ))}
+            <tr className="font-bold">
+              <td className="py-1 px-2" colSpan={3}>Total Deduction</td>
+              <td className="py-1 px-2 text-right">{formatRupees(summary.total)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DeclarationsForm;
@@ -4,9 +4,12 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
-import { UserPlus, Trash2, Users } from 'lucide-react';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ptStates } from '@/lib/ptRules';
+import { UserPlus, Trash2, Users, LogOut } from 'lucide-react';
 
-const EmployeeManager = ({ presets, setPresets }) => {
+const EmployeeManager = ({ presets, setPresets, onSettle }) => {
   const [showAddForm, setShowAddForm] = useState(false);
   const [inputMode, setInputMode] = useState('monthly');
   const [newEmployee, setNewEmployee] = useState({
@@ -16,6 +19,11 @@ const EmployeeManager = ({ presets, setPresets }) => {
     conveyance: 1600,
     medical: 1250,
     lunch: 1150,
+    rentPaidMonthly: 0,
+    metro: false,
+    ptState: 'KA',
+    doj: '',
+    dol: '',
   });
 
   const addEmployee = () => {
@@ -23,6 +31,10 @@ const EmployeeManager = ({ presets, setPresets }) => {
       alert('Please enter employee name');
       return;
     }
+    if (newEmployee.doj && newEmployee.dol && newEmployee.dol < newEmployee.doj) {
+      alert('Date of leaving cannot be before date of joining');
+      return;
+    }
     
     const grossAmount = inputMode === 'monthly' 
       ? parseFloat(newEmployee.monthlyGross) || 0
@@ -38,6 +50,11 @@ const EmployeeManager = ({ presets, setPresets }) => {
           medical: parseFloat(newEmployee.medical) || 0,
           lunch: parseFloat(newEmployee.lunch) || 0,
         },
+        rentPaidMonthly: parseFloat(newEmployee.rentPaidMonthly) || 0,
+        metro: newEmployee.metro,
+        ptState: newEmployee.ptState,
+        doj: newEmployee.doj,
+        dol: newEmployee.dol,
       },
     ]);
     setNewEmployee({
@@ -47,6 +64,11 @@ const EmployeeManager = ({ presets, setPresets }) => {
       conveyance: 1600,
       medical: 1250,
       lunch: 1150,
+      rentPaidMonthly: 0,
+      metro: false,
+      ptState: 'KA',
+      doj: '',
+      dol: '',
     });
     setShowAddForm(false);
   };
@@ -199,6 +221,67 @@ const EmployeeManager = ({ presets, setPresets }) => {
                   />
                 </div>
               </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <Label className="text-xs">Rent Paid (Monthly)</Label>
+                  <Input
+                    type="number"
+                    value={newEmployee.rentPaidMonthly}
+                    onChange={(e) =>
+                      setNewEmployee({
+                        ...newEmployee,
+                        rentPaidMonthly: parseFloat(e.target.value) || 0,
+                      })
+                    }
+                    className="mt-1"
+                  />
+                </div>
+                <div className="flex items-center gap-2 pt-5">
+                  <Switch
+                    checked={newEmployee.metro}
+                    onCheckedChange={(v) => setNewEmployee({ ...newEmployee, metro: v })}
+                  />
+                  <Label className="text-xs">Metro city</Label>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <Label className="text-xs">Date of Joining</Label>
+                  <Input
+                    type="date"
+                    value={newEmployee.doj}
+                    onChange={(e) => setNewEmployee({ ...newEmployee, doj: e.target.value })}
+                    className="mt-1"
+                  />
+                </div>
+                <div>
+                  <Label className="text-xs">Date of Leaving</Label>
+                  <Input
+                    type="date"
+                    value={newEmployee.dol}
+                    onChange={(e) => setNewEmployee({ ...newEmployee, dol: e.target.value })}
+                    className="mt-1"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <Label className="text-xs">Professional Tax State</Label>
+                <Select
+                  value={newEmployee.ptState}
+                  onValueChange={(v) => setNewEmployee({ ...newEmployee, ptState: v })}
+                >
+                  <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(ptStates).map(([code, st]) => (
+                      <SelectItem key={code} value={code}>{st.name}</SelectItem>
+                    ))}
+                    <SelectItem value="FLAT">Flat amount</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
             </div>
             <div className="flex gap-2 mt-3">
               <Button onClick={addEmployee} className="flex-1 bg-green-600 hover:bg-green-700">
@@ -233,7 +316,24 @@ const EmployeeManager = ({ presets, setPresets }) => {
                   <div className="text-xs text-slate-600 dark:text-slate-400">
                     Monthly: ₹{preset.gross.toLocaleString('en-IN')} | Annual: ₹{(preset.gross * 12).toLocaleString('en-IN')}
                   </div>
+                  {(preset.doj || preset.dol) && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400">
+                      {preset.doj && `Joined ${preset.doj}`}{preset.doj && preset.dol && ' | '}{preset.dol && `Leaving ${preset.dol}`}
+                    </div>
+                  )}
                 </div>
+                <div className="flex">
+                {onSettle && (
+                  <Button
+                    onClick={() => onSettle(preset)}
+                    variant="ghost"
+                    size="icon"
+                    title="Full & final settlement"
+                    className="text-rose-600 hover:text-rose-700 hover:bg-rose-100 dark:hover:bg-rose-900/20"
+                  >
+                    <LogOut className="h-4 w-4" />
+                  </Button>
+                )}
                 <Button
                   onClick={() => removeEmployee(preset.name)}
                   variant="ghost"
@@ -243,6 +343,7 @@ const EmployeeManager = ({ presets, setPresets }) => {
                 >
                   <Trash2 className="h-4 w-4" />
                 </Button>
+                </div>
               </div>
             ))
           )}
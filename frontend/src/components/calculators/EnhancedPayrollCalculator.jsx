@@ -9,10 +9,45 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Switch } from "@/components/ui/switch";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Slider } from "@/components/ui/slider";
+import { Checkbox } from "@/components/ui/checkbox";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
-import { Download, Calculator, RefreshCcw, FileDown, TrendingUp, Wallet, Sun, Moon, Plus, X } from "lucide-react";
+import { Download, Calculator, RefreshCcw, FileDown, Wallet, Sun, Moon, Plus, X } from "lucide-react";
 import EmployeeManager from "./EmployeeManager";
 import { useTheme } from '@/contexts/ThemeContext';
+import { taxRulePacks, applyTaxRulePack } from '@/lib/taxRulePacks';
+import { emptyDeclarations } from '@/lib/declarations';
+import { ptStates, fyMonths, monthNames } from '@/lib/ptRules';
+import DeclarationsForm from "./DeclarationsForm";
+import RegimeComparison from "./RegimeComparison";
+import PayrollSchedule from "./PayrollSchedule";
+import SalaryStructureBuilder from "./SalaryStructureBuilder";
+import CompliancePanel from "./CompliancePanel";
+import SalaryRevision from "./SalaryRevision";
+import Section89Relief from "./Section89Relief";
+import FullAndFinalSettlement from "./FullAndFinalSettlement";
+import AttendanceCalendar from "./AttendanceCalendar";
+import LoanManager from "./LoanManager";
+import { defaultComplianceRules, evaluateCompliance, minimumWageFor } from '@/lib/compliance';
+import { roundingModes } from '@/lib/money';
+import { defaultAttendance, paymentDayBases, summarizeAttendance } from '@/lib/attendance';
+import {
+  defaultPolicy,
+  fixedProration,
+  earningFrequencies,
+  customEarningDefaults,
+  customDeductionDefaults,
+  fyOfMonth,
+  calculatePayroll,
+  netPayMetric,
+  annualCtcMetric,
+  solveGross,
+  compareRegimes,
+  computePayrollSchedule,
+  computeArrears,
+  computeSection89Relief,
+  computeFullAndFinal,
+  settlementDateError,
+} from '@/lib/payroll';
 
 // ---------- Helpers ----------
 const rupees = (n) => (Number.isFinite(n) ? `₹${Math.round(n).toLocaleString("en-IN")}` : "₹0");
@@ -23,175 +58,40 @@ const toNum = (val, fallback = 0) => {
   return Number.isFinite(n) ? n : fallback;
 };
 
-// Default policy
-const defaultPolicy = {
-  basicPctOfGross: 0.40,
-  hraPctOfBasic: 0.50,
-  pf: {
-    apply: true,
-    employeeRate: 0.12,
-    vpfRate: 0.00,
-    restrictBaseToCeiling: true,
-    wageCeiling: 15000,
-    baseIncludes: ["Basic"],
-  },
-  esi: {
-    apply: false,
-    monthlyThreshold: 21000,
-    employeeRate: 0.0075,
-  },
-  pt: {
-    apply: true,
-    monthlyAmount: 200,
-  },
-  tds: {
-    apply: true,
-    regime: "new",
-    standardDeduction: 50000,
-    rebate87AThreshold: 700000,
-    slabsNew: [
-      { upto: 300000, rate: 0.00 },
-      { upto: 600000, rate: 0.05 },
-      { upto: 900000, rate: 0.10 },
-      { upto: 1200000, rate: 0.15 },
-      { upto: 1500000, rate: 0.20 },
-      { upto: Infinity, rate: 0.30 },
-    ],
-    slabsOld: [
-      { upto: 250000, rate: 0.00 },
-      { upto: 500000, rate: 0.05 },
-      { upto: 1000000, rate: 0.20 },
-      { upto: Infinity, rate: 0.30 },
-    ],
-    cessRate: 0.04,
-  },
-};
-
 // Default presets - Pulicharla Gopi Krishna as default
 const defaultPresets = [
-  { name: "Pulicharla Gopi Krishna", gross: 50000, fixed: { conveyance: 1300, medical: 1200, lunch: 1500 } },
+  { name: "Pulicharla Gopi Krishna", gross: 50000, fixed: { conveyance: 1300, medical: 1200, lunch: 1500 }, rentPaidMonthly: 0, metro: false, ptState: "KA" },
 ];
 
-// ---------- Core calculations (pure) ----------
-function computeSlabTax(annualTaxable, slabs) {
-  let tax = 0;
-  let last = 0;
-  for (const { upto, rate } of slabs) {
-    const span = Math.min(annualTaxable, upto) - last;
-    if (span > 0) tax += span * rate;
-    last = upto;
-    if (annualTaxable <= upto) break;
-  }
-  return tax;
-}
+const prorationModes = { prorate: "Prorate", fixed: "Fixed", prorateAboveMin: "Prorate above min" };
+const taxabilityModes = { taxable: "Taxable", partial: "Partially exempt", exempt: "Exempt" };
+const bonusModes = { monthly: "Monthly advance", annual: "Annual payout" };
+const oneOffTdsModes = { lump: "Lump in payout month", spread: "Spread over remaining months" };
+
+// "YYYY-MM" of a date and the 1 April that starts its financial year, for the revision inputs
+const isoMonth = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+const fyStartDate = (d) => `${d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1}-04-01`;
+
+const reconciliationLabels = {
+  gross: "Gross Earnings",
+  pfEE: "PF (Employee)",
+  vpfEE: "VPF (Employee)",
+  esiEE: "ESI (Employee)",
+  pt: "Professional Tax",
+  tds: "TDS",
+  customDeductions: "Custom Deductions",
+  roundingAdjustment: "Rounding Adjustment",
+  netPay: "Net Pay",
+};
+const reconciliationReasons = {
+  gross: "One-time and periodic earnings are paid only in their payout months",
+  esiEE: "ESI applies only in contribution periods the employee is covered for",
+  pt: "State PT instalments (February / half-yearly) and the ₹2,500 annual cap",
+  customDeductions: "Loan EMIs are recovered only in the months the loans are being repaid",
+  tds: "Annual tax liability vs monthly TDS rounded to the rupee (trued up in the last month) and TDS on one-off payouts",
+  netPay: "Sum of the line differences above",
+};
 
-function calculatePayroll({
-  monthlyGross,
-  fixedAllowances,
-  policy,
-  monthDays,
-  paymentDays,
-  additionalExemptionsAnnual = 0,
-  customEarnings = [],
-  customDeductions = [],
-}) {
-  const p = policy;
-  const factor = clamp(paymentDays / Math.max(1, monthDays), 0, 1);
-
-  const basicFull = Math.round(monthlyGross * p.basicPctOfGross);
-  const hraFull = Math.round(basicFull * p.hraPctOfBasic);
-  const fixedFull = Math.round((fixedAllowances.conveyance || 0) + (fixedAllowances.medical || 0) + (fixedAllowances.lunch || 0));
-  const specialFullRaw = monthlyGross - (basicFull + hraFull + fixedFull);
-  const specialFull = Math.round(Math.max(0, specialFullRaw));
-  const fixedTooHigh = specialFullRaw < 0;
-
-  const basic = Math.round(basicFull * factor);
-  const hra = Math.round(hraFull * factor);
-  const special = Math.round(specialFull * factor);
-  const conveyance = fixedAllowances.conveyance || 0;
-  const medical = fixedAllowances.medical || 0;
-  const lunch = fixedAllowances.lunch || 0;
-
-  // Add custom earnings to gross payable
-  const customEarningsTotal = customEarnings.reduce((sum, item) => sum + (item.amount || 0), 0);
-  const monthlyGrossPayable = basic + hra + special + conveyance + medical + lunch + customEarningsTotal;
-
-  const pfBaseFull = basicFull;
-  const pfBase = p.pf.restrictBaseToCeiling ? Math.min(pfBaseFull * factor, p.pf.wageCeiling) : pfBaseFull * factor;
-  const pfEE = p.pf.apply ? Math.round(pfBase * p.pf.employeeRate) : 0;
-  const vpfEE = p.pf.apply && p.pf.vpfRate > 0 ? Math.round(pfBase * p.pf.vpfRate) : 0;
-
-  const esiEligible = p.esi.apply && monthlyGross <= p.esi.monthlyThreshold;
-  const esiEE = esiEligible ? Math.round(monthlyGrossPayable * p.esi.employeeRate) : 0;
-
-  const pt = p.pt.apply ? Math.round(p.pt.monthlyAmount || 0) : 0;
-
-  let tds = 0, annualTax = 0;
-  if (p.tds.apply) {
-    const annualGross = monthlyGross * 12;
-    const stdDed = p.tds.standardDeduction || 0;
-    const regime = p.tds.regime;
-    const slabs = regime === "new" ? p.tds.slabsNew : p.tds.slabsOld;
-    const allowedExemptions = regime === "new" ? 0 : (additionalExemptionsAnnual || 0);
-    const taxable = Math.max(0, annualGross - stdDed - allowedExemptions);
-
-    let taxCore = computeSlabTax(taxable, slabs);
-    if (regime === "new" && taxable <= (p.tds.rebate87AThreshold || 0)) taxCore = 0;
-    annualTax = Math.round(taxCore * (1 + (p.tds.cessRate || 0)));
-    tds = Math.round(annualTax / 12);
-  }
-
-  // Add custom deductions
-  const customDeductionsTotal = customDeductions.reduce((sum, item) => sum + (item.amount || 0), 0);
-  const totalDeductions = pfEE + vpfEE + esiEE + pt + tds + customDeductionsTotal;
-  const netPay = monthlyGrossPayable - totalDeductions;
-
-  const annual = {
-    earnings: {
-      basic: basicFull * 12,
-      hra: hraFull * 12,
-      special: specialFull * 12,
-      conveyance: (fixedAllowances.conveyance || 0) * 12,
-      medical: (fixedAllowances.medical || 0) * 12,
-      lunch: (fixedAllowances.lunch || 0) * 12,
-    },
-    gross: monthlyGross * 12,
-    deductions: {
-      pfEE: (p.pf.apply ? Math.round((p.pf.restrictBaseToCeiling ? Math.min(basicFull, p.pf.wageCeiling) : basicFull) * p.pf.employeeRate) : 0) * 12,
-      vpfEE: (p.pf.apply && p.pf.vpfRate > 0 ? Math.round((p.pf.restrictBaseToCeiling ? Math.min(basicFull, p.pf.wageCeiling) : basicFull) * p.pf.vpfRate) : 0) * 12,
-      esiEE: (p.esi.apply && monthlyGross <= p.esi.monthlyThreshold ? Math.round((basicFull + hraFull + specialFull + fixedFull) * p.esi.employeeRate) : 0) * 12,
-      pt: (p.pt.apply ? Math.round(p.pt.monthlyAmount || 0) : 0) * 12,
-      tds: tds * 12,
-    },
-  };
-  const annualTotalDeductions = Object.values(annual.deductions).reduce((a,b)=>a+b,0) + (customDeductionsTotal * 12);
-  const annualNet = (basicFull + hraFull + specialFull + fixedFull + customEarningsTotal) * 12 - annualTotalDeductions;
-
-  return {
-    flags: { negativeNet: netPay < 0, esiEligible, fixedTooHigh },
-    factor,
-    monthly: {
-      earnings: { basic, hra, special, conveyance, medical, lunch },
-      earningsFull: { basic: basicFull, hra: hraFull, special: specialFull, conveyance, medical, lunch },
-      grossPayable: monthlyGrossPayable,
-      deductions: { pfEE, vpfEE, esiEE, pt, tds },
-      totalDeductions,
-      netPay,
-      customEarnings,
-      customDeductions,
-      customEarningsTotal,
-      customDeductionsTotal,
-    },
-    annual: {
-      earnings: annual.earnings,
-      gross: annual.gross,
-      deductions: annual.deductions,
-      totalDeductions: annualTotalDeductions,
-      netPay: annualNet,
-      taxProjected: annualTax,
-    },
-  };
-}
 
 function usePayrollCalculator(args) {
   return useMemo(() => calculatePayroll(args), [
@@ -200,9 +100,23 @@ function usePayrollCalculator(args) {
     args.policy,
     args.monthDays,
     args.paymentDays,
-    args.additionalExemptionsAnnual,
+    args.declarations,
+    args.rentPaidMonthly,
+    args.metroCity,
+    args.ptState,
+    args.payrollMonth,
+    args.payrollYear,
+    args.doj,
+    args.dol,
+    args.esiPeriodStartGross,
     args.customEarnings,
     args.customDeductions,
+    args.arrears,
+    args.minimumWage,
+    args.bonusYearStartGross,
+    args.attendance,
+    args.overtime,
+    args.loans,
   ]);
 }
 
@@ -213,19 +127,95 @@ export default function EnhancedPayrollCalculator() {
   const [inputMode, setInputMode] = useState("annual");
   const [annualGross, setAnnualGross] = useState(600000); // 6 LPA
   const [grossMonthlyManual, setGrossMonthlyManual] = useState(50000);
-  const monthlyGross = inputMode === "annual" ? toNum(annualGross) / 12 : toNum(grossMonthlyManual);
+  const [targetNetMonthly, setTargetNetMonthly] = useState(40000);
+  const [annualCtc, setAnnualCtc] = useState(700000);
 
   const [fixed, setFixed] = useState({ conveyance: 1300, medical: 1200, lunch: 1500 });
   const [policy, setPolicy] = useState(defaultPolicy);
   const [monthDays, setMonthDays] = useState(30);
   const [paymentDays, setPaymentDays] = useState(30);
-  const [additionalExemptionsAnnual, setAdditionalExemptionsAnnual] = useState(0);
+  const [declarations, setDeclarations] = useState(emptyDeclarations);
+  const [rentPaidMonthly, setRentPaidMonthly] = useState(0);
+  const [metroCity, setMetroCity] = useState(false);
+  const [ptState, setPtState] = useState("KA");
+  // "YYYY-MM" of the month being paid; its FY picks the tax rule pack when one exists
+  const [payrollPeriod, setPayrollPeriod] = useState(() => isoMonth(new Date()));
+  const [payrollYear, payrollMonth] = payrollPeriod.split("-").map(Number);
+  const [doj, setDoj] = useState("");
+  const [dol, setDol] = useState("");
+  // A date of leaving before the date of joining is not applied until corrected
+  const datesReversed = !!doj && !!dol && dol < doj;
+  const [esiPeriodStartGross, setEsiPeriodStartGross] = useState(null);
+  const [bonusYearStartGross, setBonusYearStartGross] = useState(null);
+  const [complianceRules, setComplianceRules] = useState(defaultComplianceRules);
+  // The bonus calculation ceiling is the higher of ₹7,000 and this minimum wage
+  const minimumWage = minimumWageFor(complianceRules.minimumWage, ptState).minimum;
+
+  // Attendance grids and overtime by employee and month; months not yet marked show weekly-offs only
+  const [attendanceRecords, setAttendanceRecords] = useState({});
+  const [overtimeRecords, setOvertimeRecords] = useState({});
+  const employeeMonthKey = `${employee}|${payrollYear}-${String(payrollMonth).padStart(2, "0")}`;
+  const attendanceDays = useMemo(
+    () => attendanceRecords[employeeMonthKey] ?? defaultAttendance(payrollYear, payrollMonth, policy.attendance.weeklyOffs),
+    [attendanceRecords, employeeMonthKey, payrollYear, payrollMonth, policy.attendance.weeklyOffs]
+  );
+  const attendanceSummary = useMemo(
+    () => summarizeAttendance(attendanceDays, policy.attendance.basis),
+    [attendanceDays, policy.attendance.basis]
+  );
+  const setAttendanceDays = (days) => setAttendanceRecords(({ [employeeMonthKey]: _, ...rest }) => (days ? { ...rest, [employeeMonthKey]: days } : rest));
+  const overtimeWorked = overtimeRecords[employeeMonthKey] ?? { hours: 0, shifts: {} };
+  const setOvertimeWorked = (worked) => setOvertimeRecords((records) => ({ ...records, [employeeMonthKey]: worked }));
+  const effectiveMonthDays = policy.attendance.apply ? attendanceSummary.monthDays : monthDays;
+  const effectivePaymentDays = policy.attendance.apply ? attendanceSummary.paymentDays : paymentDays;
+
+  // Loans and advances by employee
+  const [loanRecords, setLoanRecords] = useState({});
+  const employeeLoans = useMemo(() => loanRecords[employee] || [], [loanRecords, employee]);
 
   // Custom components
   const [customEarnings, setCustomEarnings] = useState([]);
   const [customDeductions, setCustomDeductions] = useState([]);
-  const [newEarning, setNewEarning] = useState({ name: "", amount: 0 });
-  const [newDeduction, setNewDeduction] = useState({ name: "", amount: 0 });
+
+  // Everything calculatePayroll takes except the gross itself
+  const payrollArgs = useMemo(() => ({
+    fixedAllowances: fixed,
+    policy,
+    monthDays: effectiveMonthDays,
+    paymentDays: effectivePaymentDays,
+    declarations,
+    rentPaidMonthly,
+    metroCity,
+    ptState,
+    payrollMonth,
+    payrollYear,
+    doj,
+    dol: datesReversed ? "" : dol,
+    esiPeriodStartGross,
+    customEarnings,
+    customDeductions,
+    minimumWage,
+    bonusYearStartGross,
+    loans: employeeLoans,
+  }), [fixed, policy, effectiveMonthDays, effectivePaymentDays, declarations, rentPaidMonthly, metroCity, ptState, payrollMonth, payrollYear, doj, dol, datesReversed, esiPeriodStartGross, customEarnings, customDeductions, minimumWage, bonusYearStartGross, employeeLoans]);
+
+  const solution = useMemo(() => (
+    inputMode === "net" || inputMode === "ctc"
+      ? solveGross({
+          target: inputMode === "net" ? toNum(targetNetMonthly) : toNum(annualCtc),
+          metric: inputMode === "net" ? netPayMetric : annualCtcMetric,
+          ...payrollArgs,
+        })
+      : null
+  ), [inputMode, targetNetMonthly, annualCtc, payrollArgs]);
+
+  const monthlyGross = inputMode === "annual"
+    ? toNum(annualGross) / 12
+    : inputMode === "net" || inputMode === "ctc"
+      ? (solution?.gross ?? 0)
+      : toNum(grossMonthlyManual);
+  const [newEarning, setNewEarning] = useState({ name: "", amount: 0, ...customEarningDefaults });
+  const [newDeduction, setNewDeduction] = useState({ name: "", amount: 0, ...customDeductionDefaults });
   const [showAddEarning, setShowAddEarning] = useState(false);
   const [showAddDeduction, setShowAddDeduction] = useState(false);
 
@@ -234,17 +224,96 @@ export default function EnhancedPayrollCalculator() {
     loadPreset("Pulicharla Gopi Krishna");
   }, []);
 
-  const result = usePayrollCalculator({ 
-    monthlyGross, 
-    fixedAllowances: fixed, 
-    policy, 
-    monthDays, 
-    paymentDays, 
-    additionalExemptionsAnnual,
-    customEarnings,
-    customDeductions,
+  // Retrospective revision; its arrears join this month's pay only when included
+  const [revision, setRevision] = useState(() => ({
+    oldGross: 45000,
+    newGross: 50000,
+    effectiveDate: fyStartDate(new Date()),
+    processingMonth: isoMonth(new Date()),
+    include: false,
+  }));
+  const arrears = useMemo(
+    () => computeArrears({ ...payrollArgs, ...revision }),
+    [payrollArgs, revision]
+  );
+  // Per-FY overrides of income, arrears and regime for the Form 10E computation
+  const [reliefYears, setReliefYears] = useState({});
+  const section89 = useMemo(
+    () => computeSection89Relief({ ...payrollArgs, ...revision, arrears, years: reliefYears }),
+    [payrollArgs, revision, arrears, reliefYears]
+  );
+
+  const result = usePayrollCalculator({
+    monthlyGross,
+    ...payrollArgs,
+    arrears: revision.include && arrears.rows.length ? arrears : null,
+    // The month's attendance record travels with its result
+    attendance: policy.attendance.apply
+      ? { ...attendanceSummary, employee, year: payrollYear, month: payrollMonth, days: attendanceDays }
+      : null,
+    overtime: overtimeWorked,
   });
 
+  // Flag for a joiner's first or a leaver's last payroll month
+  const employmentLabel = result.employment?.employed && (result.employment.firstMonth || result.employment.lastMonth)
+    ? `${result.employment.firstMonth && result.employment.lastMonth ? "First and last" : result.employment.firstMonth ? "First" : "Last"} payroll month`
+    : null;
+
+  const compliance = useMemo(
+    () => evaluateCompliance(result, complianceRules, { ptState }),
+    [result, complianceRules, ptState]
+  );
+
+  const regimeComparison = useMemo(
+    () => compareRegimes({ monthlyGross, ...payrollArgs }),
+    [monthlyGross, payrollArgs]
+  );
+
+  // Per-month overrides for the FY schedule, April first
+  const [scheduleMonths, setScheduleMonths] = useState(() => Array.from({ length: 12 }, () => ({})));
+  const schedule = useMemo(
+    () => computePayrollSchedule({ monthlyGross, months: scheduleMonths, ...payrollArgs }),
+    [monthlyGross, scheduleMonths, payrollArgs]
+  );
+
+  // Full-and-final settlement of an employee picked in the employee manager
+  const [settlementEmployee, setSettlementEmployee] = useState(null);
+  const [settlementInputs, setSettlementInputs] = useState(() => ({
+    doj: "2020-04-01",
+    lwd: new Date().toISOString().slice(0, 10),
+    noticeDays: 30,
+    noticeServedDays: 30,
+    leaveBalance: 0,
+  }));
+  // Built from the settled employee's saved record and the policy alone — nothing entered
+  // for the employee loaded in the calculator (earnings, deductions, declarations,
+  // attendance, arrears) carries over
+  const settlementError = settlementDateError(settlementInputs);
+  const settlement = useMemo(() => {
+    if (!settlementEmployee || settlementError) return null;
+    const settledPtState = settlementEmployee.ptState || "FLAT";
+    return computeFullAndFinal({
+      ...settlementInputs,
+      policy,
+      monthlyGross: settlementEmployee.gross,
+      fixedAllowances: settlementEmployee.fixed,
+      monthDays: 30,
+      declarations: emptyDeclarations,
+      rentPaidMonthly: settlementEmployee.rentPaidMonthly || 0,
+      metroCity: !!settlementEmployee.metro,
+      ptState: settledPtState,
+      customEarnings: [],
+      customDeductions: [],
+      minimumWage: minimumWageFor(complianceRules.minimumWage, settledPtState).minimum,
+      loans: loanRecords[settlementEmployee.name] || [],
+    });
+  }, [settlementEmployee, settlementError, settlementInputs, policy, complianceRules, loanRecords]);
+  // Start from the employee's own joining and leaving dates where recorded
+  const startSettlement = (preset) => {
+    setSettlementEmployee(preset);
+    setSettlementInputs((inputs) => ({ ...inputs, doj: preset.doj || inputs.doj, lwd: preset.dol || inputs.lwd }));
+  };
+
   const resultsRef = useRef(null);
   const handleDownloadPDF = async () => {
     const element = resultsRef.current;
@@ -288,6 +357,19 @@ export default function EnhancedPayrollCalculator() {
     setInputMode("monthly");
     setGrossMonthlyManual(p.gross);
     setFixed(p.fixed);
+    setRentPaidMonthly(p.rentPaidMonthly || 0);
+    setMetroCity(!!p.metro);
+    setPtState(p.ptState || "FLAT");
+    setDoj(p.doj || "");
+    setDol(p.dol || "");
+    setEsiPeriodStartGross(null);
+    setBonusYearStartGross(null);
+  };
+
+  const changePayrollPeriod = (period) => {
+    setPayrollPeriod(period);
+    const fy = fyOfMonth(...period.split("-").map(Number));
+    if (taxRulePacks[fy]) setPolicy((p) => ({ ...p, tds: applyTaxRulePack(p.tds, fy) }));
   };
 
   const downloadJSON = (obj, filename) => {
@@ -304,18 +386,30 @@ export default function EnhancedPayrollCalculator() {
       salary_structure: "Monthly-Standard-2025",
       from_date: new Date().toISOString().slice(0,10),
       earnings: [
-        { salary_component: "Basic", amount: result.monthly.earningsFull.basic },
-        { salary_component: "HRA", amount: result.monthly.earningsFull.hra },
-        { salary_component: "Special Allowance", amount: result.monthly.earningsFull.special },
-        { salary_component: "Conveyance Allowance", amount: fixed.conveyance },
-        { salary_component: "Medical Allowance", amount: fixed.medical },
-        { salary_component: "Lunch Allowance", amount: fixed.lunch },
-        ...customEarnings.map(ce => ({ salary_component: ce.name, amount: ce.amount })),
+        ...result.monthly.components.map(c => ({ salary_component: c.name, abbr: c.abbr, amount: c.full })),
+        ...customEarnings.filter(ce => (ce.frequency || "monthly") === "monthly").map(ce => ({ salary_component: ce.name, amount: ce.amount })),
+        ...(result.bonus.eligible && policy.bonus.mode === "monthly" ? [{ salary_component: "Statutory Bonus", amount: result.bonus.monthly }] : []),
       ],
+      // One-time and periodic earnings go in as Additional Salary for their payout months
+      additional_salaries: result.monthly.customEarnings.filter(ce => !ce.recurring).flatMap(ce =>
+        ce.payoutMonths.map(month => ({ salary_component: ce.name, amount: ce.amount, payroll_month: monthNames[month - 1] }))
+      ),
       deductions: [
         { salary_component: "Income Tax (TDS)", amount: 0 },
         ...customDeductions.map(cd => ({ salary_component: cd.name, amount: cd.amount })),
       ],
+      // One-off arrears for this month's salary slip, as additional salary entries
+      ...(result.monthly.arrears ? {
+        arrears: {
+          payroll_month: revision.processingMonth,
+          earnings: result.monthly.arrears.components.map(c => ({ salary_component: `${c.name} Arrears`, abbr: c.abbr, amount: c.amount })),
+          deductions: [
+            { salary_component: "PF on Arrears", amount: result.monthly.arrears.pfEE },
+            { salary_component: "ESI on Arrears", amount: result.monthly.arrears.esiEE },
+            { salary_component: "TDS on Arrears", amount: result.monthly.arrears.tds },
+          ].filter(d => d.amount !== 0),
+        },
+      } : {}),
       notes: "Auto-generated from CompWise-CTC Payroll Calculator.",
     };
     const safeName = (employee||"employee").replace(/\s+/g, "_");
@@ -324,13 +418,18 @@ export default function EnhancedPayrollCalculator() {
 
   const resetPolicy = () => setPolicy(defaultPolicy);
 
+  const setProrationRule = (abbr, changes) =>
+    setPolicy(p => ({ ...p, structure: p.structure.map(c => (c.abbr === abbr ? { ...c, proration: { ...c.proration, ...changes } } : c)) }));
+  const setComponentRounding = (abbr, rounding) =>
+    setPolicy(p => ({ ...p, structure: p.structure.map(c => (c.abbr === abbr ? { ...c, rounding } : c)) }));
+
   const addCustomEarning = () => {
     if (!newEarning.name.trim()) {
       alert("Please enter earning name");
       return;
     }
     setCustomEarnings([...customEarnings, { ...newEarning, id: Date.now() }]);
-    setNewEarning({ name: "", amount: 0 });
+    setNewEarning({ name: "", amount: 0, ...customEarningDefaults });
     setShowAddEarning(false);
   };
 
@@ -344,7 +443,7 @@ export default function EnhancedPayrollCalculator() {
       return;
     }
     setCustomDeductions([...customDeductions, { ...newDeduction, id: Date.now() }]);
-    setNewDeduction({ name: "", amount: 0 });
+    setNewDeduction({ name: "", amount: 0, ...customDeductionDefaults });
     setShowAddDeduction(false);
   };
 
@@ -421,10 +520,56 @@ export default function EnhancedPayrollCalculator() {
                       <RadioGroupItem value="monthly" id="monthly" />
                       <Label htmlFor="monthly">Monthly</Label>
                     </div>
+                    <div className="flex items-center space-x-2 border-2 border-blue-300 dark:border-blue-700 rounded-lg p-2 hover:bg-blue-50 dark:hover:bg-blue-900/20">
+                      <RadioGroupItem value="net" id="net" />
+                      <Label htmlFor="net">Target Net</Label>
+                    </div>
+                    <div className="flex items-center space-x-2 border-2 border-blue-300 dark:border-blue-700 rounded-lg p-2 hover:bg-blue-50 dark:hover:bg-blue-900/20">
+                      <RadioGroupItem value="ctc" id="ctc" />
+                      <Label htmlFor="ctc">Annual CTC</Label>
+                    </div>
                   </RadioGroup>
                 </div>
 
-                {inputMode === "annual" ? (
+                {inputMode === "net" ? (
+                  <div className="p-4 bg-gradient-to-r from-purple-50 to-fuchsia-50 dark:from-purple-900/20 dark:to-fuchsia-900/20 rounded-lg border border-purple-300 dark:border-purple-700">
+                    <Label className="text-purple-800 dark:text-purple-300">Target Net Pay (Monthly ₹)</Label>
+                    <Input type="number" value={targetNetMonthly} onChange={(e)=>setTargetNetMonthly(toNum(e.target.value, 0))} className="mt-1 border-purple-300 dark:border-purple-700" />
+                    {solution?.gross == null ? (
+                      <div className="text-xs text-red-600 dark:text-red-400 mt-1">No gross found that reaches this net pay.</div>
+                    ) : (
+                      <>
+                        <div className="text-xs text-purple-700 dark:text-purple-400 mt-1">
+                          Required Monthly Gross: <b>{rupees(solution.gross)}</b> · Annual: <b>{rupees(solution.gross*12)}</b>
+                        </div>
+                        {!solution.exact && (
+                          <div className="text-xs text-amber-700 dark:text-amber-400 mt-1">
+                            No exact solution: net pay jumps from {rupees(solution.below.value)} (gross {rupees(solution.below.gross)}) to {rupees(solution.above.value)} (gross {rupees(solution.above.gross)}) at a PF/ESI/TDS threshold. Showing the nearest gross above the target.
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </div>
+                ) : inputMode === "ctc" ? (
+                  <div className="p-4 bg-gradient-to-r from-amber-50 to-orange-50 dark:from-amber-900/20 dark:to-orange-900/20 rounded-lg border border-amber-300 dark:border-amber-700">
+                    <Label className="text-amber-800 dark:text-amber-300">Annual CTC (₹)</Label>
+                    <Input type="number" value={annualCtc} onChange={(e)=>setAnnualCtc(toNum(e.target.value, 0))} className="mt-1 border-amber-300 dark:border-amber-700" />
+                    {solution?.gross == null ? (
+                      <div className="text-xs text-red-600 dark:text-red-400 mt-1">No gross found for this CTC.</div>
+                    ) : (
+                      <>
+                        <div className="text-xs text-amber-700 dark:text-amber-400 mt-1">
+                          Derived Monthly Gross: <b>{rupees(solution.gross)}</b> · Annual Gross: <b>{rupees(solution.gross*12)}</b>
+                        </div>
+                        {!solution.exact && (
+                          <div className="text-xs text-amber-700 dark:text-amber-400 mt-1">
+                            No exact solution: CTC jumps from {rupees(solution.below.value)} (gross {rupees(solution.below.gross)}) to {rupees(solution.above.value)} (gross {rupees(solution.above.gross)}) at a PF/ESI threshold. Showing the nearest gross above the target.
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </div>
+                ) : inputMode === "annual" ? (
                   <div className="p-4 bg-gradient-to-r from-green-50 to-emerald-50 dark:from-green-900/20 dark:to-emerald-900/20 rounded-lg border border-green-300 dark:border-green-700">
                     <Label className="text-green-800 dark:text-green-300">Annual Gross (₹)</Label>
                     <Input type="number" value={annualGross} onChange={(e)=>setAnnualGross(toNum(e.target.value, 0))} className="mt-1 border-green-300 dark:border-green-700" />
@@ -453,16 +598,73 @@ export default function EnhancedPayrollCalculator() {
                   </div>
                 </div>
 
+                <div className="grid grid-cols-3 gap-2">
+                  <div>
+                    <Label className="text-xs">Payroll Month</Label>
+                    <Input type="month" value={payrollPeriod} onChange={(e)=>e.target.value && changePayrollPeriod(e.target.value)} className="text-sm" />
+                  </div>
+                  <div>
+                    <Label className="text-xs">Date of Joining</Label>
+                    <Input type="date" value={doj} onChange={(e)=>setDoj(e.target.value)} className="text-sm" />
+                  </div>
+                  <div>
+                    <Label className="text-xs">Date of Leaving</Label>
+                    <Input type="date" value={dol} onChange={(e)=>setDol(e.target.value)} className="text-sm" />
+                  </div>
+                </div>
+                {datesReversed && (
+                  <div className="text-xs text-red-600 dark:text-red-400">
+                    Date of leaving is before the date of joining — it is ignored until corrected.
+                  </div>
+                )}
+                {result.employment?.prorated && (
+                  <div className="text-xs text-amber-700 dark:text-amber-400">
+                    {!result.employment.employed
+                      ? "Not employed in this payroll month — nothing is payable."
+                      : <>
+                          <b>{employmentLabel}</b>:
+                          {" "}paid for {result.employment.employedDays} of {result.employment.daysInMonth} calendar days
+                        </>}
+                  </div>
+                )}
+
                 <div className="grid grid-cols-2 gap-3">
                   <div>
                     <Label>Month Days</Label>
-                    <Input type="number" value={monthDays} onChange={(e)=>setMonthDays(Math.max(1, Math.round(toNum(e.target.value, 30))))} />
+                    <Input type="number" value={result.monthDays} disabled={policy.attendance.apply || !!result.employment?.prorated} onChange={(e)=>setMonthDays(Math.max(1, Math.round(toNum(e.target.value, 30))))} />
                   </div>
                   <div>
                     <Label>Payment Days</Label>
-                    <Input type="number" value={paymentDays} onChange={(e)=>setPaymentDays(Math.max(0, Math.min(Math.round(toNum(e.target.value, 30)), monthDays)))} />
+                    <Input type="number" value={result.paymentDays} disabled={policy.attendance.apply || !!result.employment?.prorated} onChange={(e)=>setPaymentDays(Math.max(0, Math.min(Math.round(toNum(e.target.value, 30)), monthDays)))} />
                   </div>
                 </div>
+                {policy.attendance.apply && (
+                  <div className="text-xs text-teal-700 dark:text-teal-400">From the attendance grid ({paymentDayBases[policy.attendance.basis].toLowerCase()})</div>
+                )}
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <Label>Rent Paid (Monthly)</Label>
+                    <Input type="number" value={rentPaidMonthly} onChange={(e)=>setRentPaidMonthly(Math.max(0, Math.round(toNum(e.target.value, 0))))} />
+                  </div>
+                  <div className="flex items-center gap-2 pt-6">
+                    <Switch checked={metroCity} onCheckedChange={setMetroCity} />
+                    <Label className="text-xs">Metro city (50% of Basic)</Label>
+                  </div>
+                </div>
+
+                <div>
+                  <Label>Professional Tax State</Label>
+                  <Select value={ptState} onValueChange={setPtState}>
+                    <SelectTrigger className="mt-1"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(ptStates).map(([code, st]) => (
+                        <SelectItem key={code} value={code}>{st.name}</SelectItem>
+                      ))}
+                      <SelectItem value="FLAT">Flat amount (PT tab)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
               </CardContent>
             </Card>
 
@@ -481,6 +683,66 @@ export default function EnhancedPayrollCalculator() {
                   <div className="p-3 bg-green-50 dark:bg-green-900/20 rounded-lg border border-green-300 dark:border-green-700 space-y-2">
                     <Input placeholder="Name" value={newEarning.name} onChange={(e) => setNewEarning({...newEarning, name: e.target.value})} />
                     <Input type="number" placeholder="Amount" value={newEarning.amount} onChange={(e) => setNewEarning({...newEarning, amount: toNum(e.target.value, 0)})} />
+                    <div className="grid grid-cols-2 gap-2">
+                      <Select value={newEarning.frequency} onValueChange={(v) => setNewEarning({...newEarning, frequency: v})}>
+                        <SelectTrigger className="text-sm"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(earningFrequencies).map(([key, f]) => (
+                            <SelectItem key={key} value={key}>{f.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {newEarning.frequency !== "monthly" && (
+                        <Select value={String(newEarning.payoutMonth)} onValueChange={(v) => setNewEarning({...newEarning, payoutMonth: Number(v)})}>
+                          <SelectTrigger className="text-sm"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            {fyMonths.map(m => (
+                              <SelectItem key={m} value={String(m)}>Paid in {monthNames[m - 1]}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      )}
+                    </div>
+                    {newEarning.frequency === "monthly" && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <Select value={newEarning.proration.mode} onValueChange={(v) => setNewEarning({...newEarning, proration: {...newEarning.proration, mode: v}})}>
+                        <SelectTrigger className="text-sm"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(prorationModes).map(([mode, label]) => (
+                            <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {newEarning.proration.mode === "prorateAboveMin" && (
+                        <Input type="number" placeholder="Minimum" value={newEarning.proration.min}
+                          onChange={(e) => setNewEarning({...newEarning, proration: {...newEarning.proration, min: Math.max(0, Math.round(toNum(e.target.value, 0)))}})} />
+                      )}
+                    </div>
+                    )}
+                    <div className="grid grid-cols-2 gap-2">
+                      <Select value={newEarning.taxability} onValueChange={(v) => setNewEarning({...newEarning, taxability: v})}>
+                        <SelectTrigger className="text-sm"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(taxabilityModes).map(([mode, label]) => (
+                            <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {newEarning.taxability === "partial" && (
+                        <Input type="number" placeholder="Exempt / month" value={newEarning.exemptLimit}
+                          onChange={(e) => setNewEarning({...newEarning, exemptLimit: Math.max(0, Math.round(toNum(e.target.value, 0)))})} />
+                      )}
+                    </div>
+                    <div className="flex gap-4">
+                      <div className="flex items-center gap-2">
+                        <Switch checked={newEarning.pfWage} onCheckedChange={(v) => setNewEarning({...newEarning, pfWage: v})} />
+                        <Label className="text-xs">PF wage</Label>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Switch checked={newEarning.esiWage} onCheckedChange={(v) => setNewEarning({...newEarning, esiWage: v})} />
+                        <Label className="text-xs">ESI wage</Label>
+                      </div>
+                    </div>
                     <div className="flex gap-2">
                       <Button size="sm" onClick={addCustomEarning} className="flex-1">Add</Button>
                       <Button size="sm" variant="outline" onClick={() => setShowAddEarning(false)} className="flex-1">Cancel</Button>
@@ -495,7 +757,13 @@ export default function EnhancedPayrollCalculator() {
                       <div key={e.id} className="flex items-center justify-between p-2 bg-slate-50 dark:bg-slate-800 rounded-lg">
                         <div>
                           <div className="text-sm font-medium">{e.name}</div>
-                          <div className="text-xs text-slate-500">{rupees(e.amount)}</div>
+                          <div className="text-xs text-slate-500">
+                            {rupees(e.amount)} · {(e.frequency || "monthly") === "monthly"
+                              ? <>{prorationModes[(e.proration || fixedProration).mode]}{e.proration?.mode === "prorateAboveMin" ? ` (min ${rupees(e.proration.min)})` : ""}</>
+                              : `${earningFrequencies[e.frequency].label} from ${monthNames[e.payoutMonth - 1]}`}
+                            {" "}· {taxabilityModes[e.taxability || "taxable"]}{e.taxability === "partial" ? ` above ${rupees(e.exemptLimit)}` : ""}
+                            {e.pfWage ? " · PF" : ""}{e.esiWage !== false ? " · ESI" : ""}
+                          </div>
                         </div>
                         <Button size="icon" variant="ghost" onClick={() => removeCustomEarning(e.id)}>
                           <X className="h-4 w-4 text-red-500" />
@@ -522,6 +790,10 @@ export default function EnhancedPayrollCalculator() {
                   <div className="p-3 bg-red-50 dark:bg-red-900/20 rounded-lg border border-red-300 dark:border-red-700 space-y-2">
                     <Input placeholder="Name" value={newDeduction.name} onChange={(e) => setNewDeduction({...newDeduction, name: e.target.value})} />
                     <Input type="number" placeholder="Amount" value={newDeduction.amount} onChange={(e) => setNewDeduction({...newDeduction, amount: toNum(e.target.value, 0)})} />
+                    <div className="flex items-center gap-2">
+                      <Switch checked={newDeduction.preTax} onCheckedChange={(v) => setNewDeduction({...newDeduction, preTax: v})} />
+                      <Label className="text-xs">Pre-tax (reduces taxable salary, e.g. 80C via salary)</Label>
+                    </div>
                     <div className="flex gap-2">
                       <Button size="sm" onClick={addCustomDeduction} className="flex-1">Add</Button>
                       <Button size="sm" variant="outline" onClick={() => setShowAddDeduction(false)} className="flex-1">Cancel</Button>
@@ -536,7 +808,7 @@ export default function EnhancedPayrollCalculator() {
                       <div key={d.id} className="flex items-center justify-between p-2 bg-slate-50 dark:bg-slate-800 rounded-lg">
                         <div>
                           <div className="text-sm font-medium">{d.name}</div>
-                          <div className="text-xs text-slate-500">{rupees(d.amount)}</div>
+                          <div className="text-xs text-slate-500">{rupees(d.amount)} · {d.preTax ? "Pre-tax" : "Post-tax"}</div>
                         </div>
                         <Button size="icon" variant="ghost" onClick={() => removeCustomDeduction(d.id)}>
                           <X className="h-4 w-4 text-red-500" />
@@ -548,7 +820,14 @@ export default function EnhancedPayrollCalculator() {
               </CardContent>
             </Card>
 
-            <EmployeeManager presets={presets} setPresets={setPresets} />
+            <DeclarationsForm
+              declarations={declarations}
+              setDeclarations={setDeclarations}
+              summary={result.annual.declaredDeductions}
+              regime={policy.tds.regime}
+            />
+
+            <EmployeeManager presets={presets} setPresets={setPresets} onSettle={startSettlement} />
           </div>
 
           {/* Right Panel - Policy & Results */}
@@ -575,12 +854,21 @@ export default function EnhancedPayrollCalculator() {
                   </div>
                 </div>
 
+                <SalaryStructureBuilder
+                  structure={policy.structure}
+                  onApply={(structure)=>setPolicy(p=>({...p, structure}))}
+                />
+
                 <Tabs defaultValue="pf">
-                  <TabsList className="grid grid-cols-4 bg-gradient-to-r from-purple-100 to-pink-100 dark:from-purple-900/40 dark:to-pink-900/40">
+                  <TabsList className="grid grid-cols-8 bg-gradient-to-r from-purple-100 to-pink-100 dark:from-purple-900/40 dark:to-pink-900/40">
                     <TabsTrigger value="pf">PF</TabsTrigger>
                     <TabsTrigger value="esi">ESI</TabsTrigger>
                     <TabsTrigger value="pt">PT</TabsTrigger>
                     <TabsTrigger value="tds">TDS</TabsTrigger>
+                    <TabsTrigger value="gratuity">Gratuity</TabsTrigger>
+                    <TabsTrigger value="bonus">Bonus</TabsTrigger>
+                    <TabsTrigger value="overtime">OT</TabsTrigger>
+                    <TabsTrigger value="proration">Rounding</TabsTrigger>
                   </TabsList>
                   <TabsContent value="pf" className="space-y-3 pt-3">
                     <div className="flex items-center justify-between">
@@ -613,6 +901,51 @@ export default function EnhancedPayrollCalculator() {
                             <Label className="text-xs">Restrict to ceiling</Label>
                           </div>
                         </div>
+                        <div>
+                          <Label className="text-xs">PF Wage Includes</Label>
+                          <div className="grid grid-cols-2 gap-2 mt-1">
+                            {policy.structure.map(c => (
+                              <div key={c.abbr} className="flex items-center gap-2">
+                                <Checkbox id={`pf-${c.abbr}`} checked={policy.pf.baseIncludes.includes(c.abbr)}
+                                  onCheckedChange={(v)=>setPolicy(p=>({...p, pf:{...p.pf, baseIncludes: v ? [...p.pf.baseIncludes, c.abbr] : p.pf.baseIncludes.filter(a => a !== c.abbr)}}))} />
+                                <Label htmlFor={`pf-${c.abbr}`} className="text-xs">{c.name} ({c.abbr})</Label>
+                              </div>
+                            ))}
+                          </div>
+                          {result.monthly.customEarnings.some(ce => ce.pfWage) && (
+                            <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                              + custom earnings flagged PF wage: {result.monthly.customEarnings.filter(ce => ce.pfWage).map(ce => ce.name).join(", ")}
+                            </div>
+                          )}
+                          <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                            PF wage this month <b>{rupees(result.pf.wage)}</b> → <b>{rupees(result.pf.wageAfterCeiling)}</b> after ceiling
+                            {" "}· full month {rupees(result.pf.wageFullMonth)} → {rupees(result.pf.wageFullMonthAfterCeiling)}
+                          </div>
+                        </div>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <Label className="text-xs">Employer EPF (%)</Label>
+                            <Input type="number" value={Math.round(policy.pf.employerEpfRate*10000)/100}
+                              onChange={(e)=>setPolicy(p=>({...p, pf:{...p.pf, employerEpfRate: toNum(e.target.value, 0)/100}}))} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Employer EPS (%)</Label>
+                            <Input type="number" value={Math.round(policy.pf.employerEpsRate*10000)/100}
+                              onChange={(e)=>setPolicy(p=>({...p, pf:{...p.pf, employerEpsRate: toNum(e.target.value, 0)/100}}))} className="text-sm" />
+                          </div>
+                        </div>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <Label className="text-xs">EDLI (%)</Label>
+                            <Input type="number" value={Math.round(policy.pf.edliRate*10000)/100}
+                              onChange={(e)=>setPolicy(p=>({...p, pf:{...p.pf, edliRate: toNum(e.target.value, 0)/100}}))} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Admin Charges (%)</Label>
+                            <Input type="number" value={Math.round(policy.pf.adminRate*10000)/100}
+                              onChange={(e)=>setPolicy(p=>({...p, pf:{...p.pf, adminRate: toNum(e.target.value, 0)/100}}))} className="text-sm" />
+                          </div>
+                        </div>
                       </>
                     )}
                   </TabsContent>
@@ -633,6 +966,26 @@ export default function EnhancedPayrollCalculator() {
                           <Input type="number" value={Math.round(policy.esi.employeeRate*10000)/100}
                             onChange={(e)=>setPolicy(p=>({...p, esi:{...p.esi, employeeRate: toNum(e.target.value, 0)/100}}))} className="text-sm" />
                         </div>
+                        <div>
+                          <Label className="text-xs">Employer Rate (%)</Label>
+                          <Input type="number" value={Math.round(policy.esi.employerRate*10000)/100}
+                            onChange={(e)=>setPolicy(p=>({...p, esi:{...p.esi, employerRate: toNum(e.target.value, 0)/100}}))} className="text-sm" />
+                        </div>
+                        <div>
+                          <Label className="text-xs">Gross at Period Start</Label>
+                          <Input type="number" placeholder="Same as current" value={esiPeriodStartGross ?? ""}
+                            onChange={(e)=>setEsiPeriodStartGross(e.target.value === "" ? null : Math.max(0, Math.round(toNum(e.target.value, 0))))} className="text-sm" />
+                        </div>
+                        <div className="col-span-2 text-xs text-slate-500 dark:text-slate-400">
+                          Contribution period <b>{result.esi.period.label}</b> ({monthNames[payrollMonth - 1]} payroll) ·
+                          {" "}{result.esi.coveredAtStart ? "covered" : "not covered"} on {rupees(result.esi.startGross)} at period start
+                          {" "}· {result.annual.esiMonths} ESI months projected this FY
+                        </div>
+                        {result.esi.continuesUntil && (
+                          <div className="col-span-2 text-xs text-amber-700 dark:text-amber-400">
+                            Gross is above the threshold, but the employee was covered at the start of the period — ESI continues until the end of {monthNames[result.esi.continuesUntil - 1]}.
+                          </div>
+                        )}
                       </div>
                     )}
                   </TabsContent>
@@ -642,11 +995,27 @@ export default function EnhancedPayrollCalculator() {
                       <Switch checked={policy.pt.apply} onCheckedChange={(v)=>setPolicy(p=>({...p, pt: {...p.pt, apply: v}}))} />
                     </div>
                     {policy.pt.apply && (
-                      <div>
-                        <Label className="text-xs">Monthly Amount (₹)</Label>
-                        <Input type="number" value={policy.pt.monthlyAmount}
-                          onChange={(e)=>setPolicy(p=>({...p, pt:{...p.pt, monthlyAmount: Math.max(0, Math.round(toNum(e.target.value, p.pt.monthlyAmount)))}}))} className="text-sm mt-1" />
-                      </div>
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div className="text-xs text-slate-500 dark:text-slate-400 pt-5">
+                            {monthNames[payrollMonth - 1]} {payrollYear} payroll
+                          </div>
+                          {ptState === "FLAT" && (
+                            <div>
+                              <Label className="text-xs">Monthly Amount (₹)</Label>
+                              <Input type="number" value={policy.pt.monthlyAmount}
+                                onChange={(e)=>setPolicy(p=>({...p, pt:{...p.pt, monthlyAmount: Math.max(0, Math.round(toNum(e.target.value, p.pt.monthlyAmount)))}}))} className="text-sm mt-1" />
+                            </div>
+                          )}
+                        </div>
+                        {ptStates[ptState] && (
+                          <div className="text-xs text-slate-500 dark:text-slate-400">
+                            <b>{ptStates[ptState].name}</b> ({ptStates[ptState].schedule === "halfYearly" ? "on half-yearly income, collected in Sep & Mar" : "monthly"}):{" "}
+                            {ptStates[ptState].slabs.map(sl => `${sl.upto === Infinity ? "above" : `≤${sl.upto.toLocaleString("en-IN")}`} ₹${sl.amount}`).join(", ")}
+                            {ptStates[ptState].februaryAmount ? ` · ₹${ptStates[ptState].februaryAmount} in February` : ""} · annual cap ₹2,500
+                          </div>
+                        )}
+                      </>
                     )}
                   </TabsContent>
                   <TabsContent value="tds" className="space-y-3 pt-3">
@@ -656,6 +1025,17 @@ export default function EnhancedPayrollCalculator() {
                     </div>
                     {policy.tds.apply && (
                       <>
+                        <div>
+                          <Label className="text-xs">Financial Year</Label>
+                          <Select value={policy.tds.fy} onValueChange={(v)=>setPolicy(p=>({...p, tds: applyTaxRulePack(p.tds, v)}))}>
+                            <SelectTrigger className="mt-1 text-sm"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                              {Object.entries(taxRulePacks).map(([fy, pack]) => (
+                                <SelectItem key={fy} value={fy}>{pack.label}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
                         <div className="grid grid-cols-2 gap-3">
                           <div>
                             <Label className="text-xs">Regime</Label>
@@ -669,18 +1049,235 @@ export default function EnhancedPayrollCalculator() {
                           </div>
                           <div>
                             <Label className="text-xs">Std Deduction</Label>
-                            <Input type="number" value={policy.tds.standardDeduction}
-                              onChange={(e)=>setPolicy(p=>({...p, tds:{...p.tds, standardDeduction: Math.max(0, Math.round(toNum(e.target.value, p.tds.standardDeduction)))}}))} className="text-sm" />
+                            {policy.tds.regime === "new" ? (
+                              <Input type="number" value={policy.tds.standardDeduction}
+                                onChange={(e)=>setPolicy(p=>({...p, tds:{...p.tds, standardDeduction: Math.max(0, Math.round(toNum(e.target.value, p.tds.standardDeduction)))}}))} className="text-sm" />
+                            ) : (
+                              <Input type="number" value={policy.tds.standardDeductionOld}
+                                onChange={(e)=>setPolicy(p=>({...p, tds:{...p.tds, standardDeductionOld: Math.max(0, Math.round(toNum(e.target.value, p.tds.standardDeductionOld)))}}))} className="text-sm" />
+                            )}
+                          </div>
+                        </div>
+                        <div>
+                          <Label className="text-xs">TDS on One-time & Periodic Pay</Label>
+                          <Select value={policy.tds.oneOffTds} onValueChange={(v)=>setPolicy(p=>({...p, tds:{...p.tds, oneOffTds: v}}))}>
+                            <SelectTrigger className="mt-1 text-sm"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                              {Object.entries(oneOffTdsModes).map(([mode, label]) => (
+                                <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400">
+                          87A rebate up to taxable {rupees(policy.tds.regime === "new" ? policy.tds.rebate87AThreshold : policy.tds.rebate87AThresholdOld)} · Slabs: {(policy.tds.regime === "new" ? policy.tds.slabsNew : policy.tds.slabsOld).map(sl => `${sl.upto === Infinity ? "above" : `≤${sl.upto/100000}L`} ${Math.round(sl.rate*100)}%`).join(", ")} · Cess {pct(policy.tds.cessRate)}
+                        </div>
+                      </>
+                    )}
+                  </TabsContent>
+                  <TabsContent value="gratuity" className="space-y-3 pt-3">
+                    <div className="flex items-center justify-between">
+                      <Label>Provision Gratuity in CTC</Label>
+                      <Switch checked={policy.gratuity.apply} onCheckedChange={(v)=>setPolicy(p=>({...p, gratuity: {...p.gratuity, apply: v}}))} />
+                    </div>
+                    {policy.gratuity.apply && (
+                      <div>
+                        <Label className="text-xs">Provision Rate (% of Basic)</Label>
+                        <Input type="number" value={Math.round(policy.gratuity.rateOfBasic*10000)/100}
+                          onChange={(e)=>setPolicy(p=>({...p, gratuity:{...p.gratuity, rateOfBasic: toNum(e.target.value, 0)/100}}))} className="text-sm mt-1" />
+                      </div>
+                    )}
+                  </TabsContent>
+                  <TabsContent value="bonus" className="space-y-3 pt-3">
+                    <div className="flex items-center justify-between">
+                      <Label>Statutory Bonus (Payment of Bonus Act)</Label>
+                      <Switch checked={policy.bonus.apply} onCheckedChange={(v)=>setPolicy(p=>({...p, bonus: {...p.bonus, apply: v}}))} />
+                    </div>
+                    {policy.bonus.apply && (
+                      <>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <Label className="text-xs">Bonus Rate (8.33–20%)</Label>
+                            <Input type="number" value={Math.round(policy.bonus.rate*10000)/100}
+                              onChange={(e)=>setPolicy(p=>({...p, bonus:{...p.bonus, rate: clamp(toNum(e.target.value, 8.33), 8.33, 20)/100}}))} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Eligibility (wages ≤ ₹/month)</Label>
+                            <Input type="number" value={policy.bonus.eligibilityLimit}
+                              onChange={(e)=>setPolicy(p=>({...p, bonus:{...p.bonus, eligibilityLimit: Math.max(0, Math.round(toNum(e.target.value, p.bonus.eligibilityLimit)))}}))} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Calculation Ceiling (₹/month)</Label>
+                            <Input type="number" value={policy.bonus.calculationCeiling}
+                              onChange={(e)=>setPolicy(p=>({...p, bonus:{...p.bonus, calculationCeiling: Math.max(0, Math.round(toNum(e.target.value, p.bonus.calculationCeiling)))}}))} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Gross at FY Start</Label>
+                            <Input type="number" placeholder="Same as current" value={bonusYearStartGross ?? ""}
+                              onChange={(e)=>setBonusYearStartGross(e.target.value === "" ? null : Math.max(0, Math.round(toNum(e.target.value, 0))))} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Payment</Label>
+                            <Select value={policy.bonus.mode} onValueChange={(v)=>setPolicy(p=>({...p, bonus:{...p.bonus, mode: v}}))}>
+                              <SelectTrigger className="mt-1 text-sm"><SelectValue /></SelectTrigger>
+                              <SelectContent>
+                                {Object.entries(bonusModes).map(([mode, label]) => (
+                                  <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </div>
+                          {policy.bonus.mode === "annual" && (
+                            <div>
+                              <Label className="text-xs">Payout Month</Label>
+                              <Select value={String(policy.bonus.payoutMonth)} onValueChange={(v)=>setPolicy(p=>({...p, bonus:{...p.bonus, payoutMonth: Number(v)}}))}>
+                                <SelectTrigger className="mt-1 text-sm"><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                  {fyMonths.map(m => (
+                                    <SelectItem key={m} value={String(m)}>{monthNames[m - 1]}</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            </div>
+                          )}
+                        </div>
+                        <div>
+                          <Label className="text-xs font-semibold">Bonus Wages Include</Label>
+                          <div className="flex flex-wrap gap-3 mt-1">
+                            {policy.structure.map(c => (
+                              <div key={c.abbr} className="flex items-center gap-1">
+                                <Checkbox id={`bonus-${c.abbr}`} checked={policy.bonus.wageComponents.includes(c.abbr)}
+                                  onCheckedChange={(v)=>setPolicy(p=>({...p, bonus:{...p.bonus, wageComponents: v ? [...p.bonus.wageComponents, c.abbr] : p.bonus.wageComponents.filter(a => a !== c.abbr)}}))} />
+                                <Label htmlFor={`bonus-${c.abbr}`} className="text-xs">{c.name}</Label>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400">
+                          Bonus wages {rupees(result.bonus.wage)} · {result.bonus.eligible ? "eligible" : "not eligible"}
+                          {result.bonus.eligible && <> · bonus on {rupees(result.bonus.calculationWage)} (higher of {rupees(policy.bonus.calculationCeiling)} and minimum wage {rupees(result.bonus.minimumWage)}) = <b>{rupees(result.bonus.monthly)}</b>/month, {rupees(result.bonus.annual)}/year</>}
+                        </div>
+                        {result.bonus.thresholdCrossed && (
+                          <div className="text-xs text-amber-700 dark:text-amber-400">
+                            Bonus wages were {rupees(result.bonus.startWage)} at the start of the FY and have crossed the {rupees(policy.bonus.eligibilityLimit)} limit mid-year.
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </TabsContent>
+                  <TabsContent value="overtime" className="space-y-3 pt-3">
+                    <div className="flex items-center justify-between">
+                      <Label>Overtime & Shift Allowances</Label>
+                      <Switch checked={policy.overtime.apply} onCheckedChange={(v)=>setPolicy(p=>({...p, overtime: {...p.overtime, apply: v}}))} />
+                    </div>
+                    {policy.overtime.apply && (
+                      <>
+                        <div className="grid grid-cols-3 gap-3">
+                          <div>
+                            <Label className="text-xs">OT Hours ({monthNames[payrollMonth - 1]})</Label>
+                            <Input type="number" value={overtimeWorked.hours}
+                              onChange={(e)=>setOvertimeWorked({...overtimeWorked, hours: Math.max(0, toNum(e.target.value, 0))})} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Hours Divisor</Label>
+                            <Input type="number" value={policy.overtime.divisor}
+                              onChange={(e)=>setPolicy(p=>({...p, overtime:{...p.overtime, divisor: Math.max(1, toNum(e.target.value, 208))}}))} className="text-sm" />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Multiplier (× ordinary rate)</Label>
+                            <Input type="number" value={policy.overtime.multiplier}
+                              onChange={(e)=>setPolicy(p=>({...p, overtime:{...p.overtime, multiplier: Math.max(1, toNum(e.target.value, 2))}}))} className="text-sm" />
                           </div>
                         </div>
                         <div>
-                          <Label className="text-xs">Additional Exemptions (Annual)</Label>
-                          <Input type="number" value={additionalExemptionsAnnual}
-                            onChange={(e)=>setAdditionalExemptionsAnnual(Math.max(0, Math.round(toNum(e.target.value, 0))))} className="text-sm mt-1" />
+                          <Label className="text-xs font-semibold">Ordinary Rate Includes</Label>
+                          <div className="flex flex-wrap gap-3 mt-1">
+                            {policy.structure.map(c => (
+                              <div key={c.abbr} className="flex items-center gap-1">
+                                <Checkbox id={`ot-${c.abbr}`} checked={policy.overtime.basisComponents.includes(c.abbr)}
+                                  onCheckedChange={(v)=>setPolicy(p=>({...p, overtime:{...p.overtime, basisComponents: v ? [...p.overtime.basisComponents, c.abbr] : p.overtime.basisComponents.filter(a => a !== c.abbr)}}))} />
+                                <Label htmlFor={`ot-${c.abbr}`} className="text-xs">{c.name}</Label>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                        <div className="space-y-2">
+                          <div className="grid grid-cols-12 gap-2 text-xs font-semibold">
+                            <span className="col-span-5">Shift Allowance</span><span className="col-span-3">₹ per Shift</span><span className="col-span-3">Shifts ({monthNames[payrollMonth - 1]})</span>
+                          </div>
+                          {policy.overtime.shiftAllowances.map((shift, idx) => (
+                            <div key={idx} className="grid grid-cols-12 gap-2 items-center">
+                              <Input value={shift.name} className="col-span-5 h-8 text-xs"
+                                onChange={(e)=>setPolicy(p=>({...p, overtime:{...p.overtime, shiftAllowances: p.overtime.shiftAllowances.map((s, i) => i === idx ? {...s, name: e.target.value} : s)}}))} />
+                              <Input type="number" value={shift.perShift} className="col-span-3 h-8 text-xs"
+                                onChange={(e)=>setPolicy(p=>({...p, overtime:{...p.overtime, shiftAllowances: p.overtime.shiftAllowances.map((s, i) => i === idx ? {...s, perShift: Math.max(0, toNum(e.target.value, 0))} : s)}}))} />
+                              <Input type="number" value={overtimeWorked.shifts[shift.name] || 0} className="col-span-3 h-8 text-xs"
+                                onChange={(e)=>setOvertimeWorked({...overtimeWorked, shifts: {...overtimeWorked.shifts, [shift.name]: Math.max(0, Math.round(toNum(e.target.value, 0)))}})} />
+                              <Button size="icon" variant="ghost" className="col-span-1 h-8"
+                                onClick={()=>setPolicy(p=>({...p, overtime:{...p.overtime, shiftAllowances: p.overtime.shiftAllowances.filter((_, i) => i !== idx)}}))}>
+                                <X className="h-4 w-4 text-red-500" />
+                              </Button>
+                            </div>
+                          ))}
+                          <Button size="sm" variant="outline" className="gap-1 text-xs"
+                            onClick={()=>setPolicy(p=>({...p, overtime:{...p.overtime, shiftAllowances: [...p.overtime.shiftAllowances, { name: `Shift ${p.overtime.shiftAllowances.length + 1}`, perShift: 0 }]}}))}>
+                            <Plus className="h-3 w-3" /> Shift Allowance
+                          </Button>
+                        </div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400">
+                          Ordinary rate {rupees(result.overtime.ordinaryWage)} ÷ {policy.overtime.divisor} hrs = ₹{result.overtime.hourlyRate.toFixed(2)}/hr ·
+                          {" "}OT {result.overtime.hours} hrs × {policy.overtime.multiplier} = <b>{rupees(result.overtime.pay)}</b>
+                          {result.overtime.total > result.overtime.pay && <> · shift allowances {rupees(result.overtime.total - result.overtime.pay)}</>}
+                          {" "}— paid with {monthNames[payrollMonth - 1]} only; ESI wages, not PF wages; taxed as one-off pay
                         </div>
                       </>
                     )}
                   </TabsContent>
+                  <TabsContent value="proration" className="space-y-3 pt-3">
+                    <div className="text-xs text-slate-500 dark:text-slate-400">
+                      How each component is paid when Payment Days are fewer than Month Days, and how it is rounded to whole rupees. Custom earnings choose their proration rule when added and round to the nearest ₹1.
+                    </div>
+                    <div className="grid grid-cols-4 gap-2 text-xs font-semibold">
+                      <span>Component</span><span>Proration</span><span>Minimum</span><span>Rounding</span>
+                    </div>
+                    {policy.structure.map(({ abbr, name, proration, rounding }) => (
+                      <div key={abbr} className="grid grid-cols-4 gap-2 items-center">
+                        <Label className="text-xs">{name}</Label>
+                        <Select value={proration.mode} onValueChange={(v)=>setProrationRule(abbr, { mode: v })}>
+                          <SelectTrigger className="text-sm"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            {Object.entries(prorationModes).map(([mode, modeLabel]) => (
+                              <SelectItem key={mode} value={mode}>{modeLabel}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        {proration.mode === "prorateAboveMin" && (
+                          <Input type="number" placeholder="Minimum" value={proration.min}
+                            onChange={(e)=>setProrationRule(abbr, { min: Math.max(0, Math.round(toNum(e.target.value, 0))) })} className="text-sm" />
+                        )}
+                        {proration.mode !== "prorateAboveMin" && <span />}
+                        <Select value={rounding || "nearest"} onValueChange={(v)=>setComponentRounding(abbr, v)}>
+                          <SelectTrigger className="text-sm"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            {Object.entries(roundingModes).map(([mode, modeLabel]) => (
+                              <SelectItem key={mode} value={mode}>{modeLabel}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    ))}
+                    <div className="grid grid-cols-4 gap-2 items-center border-t pt-3">
+                      <Label className="text-xs font-semibold col-span-3">Net Pay (difference paid as a rounding adjustment)</Label>
+                      <Select value={policy.rounding.netPay} onValueChange={(v)=>setPolicy(p=>({...p, rounding: {...p.rounding, netPay: v}}))}>
+                        <SelectTrigger className="text-sm"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(roundingModes).map(([mode, modeLabel]) => (
+                            <SelectItem key={mode} value={mode}>{modeLabel}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  </TabsContent>
                 </Tabs>
 
                 <div className="flex gap-2 flex-wrap">
@@ -692,23 +1289,12 @@ export default function EnhancedPayrollCalculator() {
             
             {/* Results Section */}
             <div ref={resultsRef} className="space-y-4">
-              {result.flags.fixedTooHigh && (
-              <Card className="border-amber-400 bg-gradient-to-r from-amber-50 to-yellow-50 dark:from-amber-900/20 dark:to-yellow-900/20 shadow-lg">
-                <CardContent className="pt-4">
-                  <div className="flex items-start gap-3">
-                    <div className="p-2 bg-amber-500 rounded-lg">
-                      <TrendingUp className="h-5 w-5 text-white" />
-                    </div>
-                    <div>
-                      <div className="font-semibold text-amber-900 dark:text-amber-300">Fixed Allowances Too High</div>
-                      <div className="text-sm text-amber-800 dark:text-amber-400 mt-1">
-                        Your fixed allowances exceed available gross after Basic & HRA. Special Allowance clamped to ₹0.
-                      </div>
-                    </div>
-                  </div>
-                </CardContent>
-              </Card>
-            )}
+              <CompliancePanel
+                compliance={compliance}
+                rules={complianceRules}
+                setRules={setComplianceRules}
+                structure={policy.structure}
+              />
 
             <Card className="shadow-xl border-indigo-200 dark:border-indigo-800">
               <CardHeader className="bg-gradient-to-r from-indigo-500 to-purple-600 text-white">
@@ -732,6 +1318,9 @@ export default function EnhancedPayrollCalculator() {
                   <div className="p-3 bg-gradient-to-br from-orange-100 to-orange-200 dark:from-orange-900/40 dark:to-orange-800/40 rounded-xl border-2 border-orange-300 dark:border-orange-700">
                     <div className="text-xs text-orange-700 dark:text-orange-300 font-semibold">Payment Factor</div>
                     <div className="text-xl font-bold text-orange-900 dark:text-orange-100">{(result.factor*100).toFixed(1)}%</div>
+                    <div className="text-[10px] text-orange-600 dark:text-orange-400">
+                      {result.paymentDays} of {result.monthDays} days{employmentLabel ? ` · ${employmentLabel}` : ""}
+                    </div>
                   </div>
                 </div>
 
@@ -740,30 +1329,50 @@ export default function EnhancedPayrollCalculator() {
                     <thead>
                       <tr className="bg-gradient-to-r from-slate-100 to-slate-200 dark:from-slate-800 dark:to-slate-700">
                         <th className="py-2 px-3 text-left font-semibold">Component</th>
-                        <th className="py-2 px-3 text-right font-semibold">Monthly</th>
+                        <th className="py-2 px-3 text-right font-semibold">Full Month</th>
+                        <th className="py-2 px-3 text-right font-semibold">Payable</th>
                         <th className="py-2 px-3 text-right font-semibold">Annual</th>
                       </tr>
                     </thead>
                     <tbody>
                       {[
-                        { k:"Basic", m: result.monthly.earningsFull.basic, a: result.annual.earnings.basic },
-                        { k:"HRA", m: result.monthly.earningsFull.hra, a: result.annual.earnings.hra },
-                        { k:"Special", m: result.monthly.earningsFull.special, a: result.annual.earnings.special },
-                        { k:"Conveyance", m: result.monthly.earningsFull.conveyance, a: result.annual.earnings.conveyance },
-                        { k:"Medical", m: result.monthly.earningsFull.medical, a: result.annual.earnings.medical },
-                        { k:"Lunch", m: result.monthly.earningsFull.lunch, a: result.annual.earnings.lunch },
-                        ...customEarnings.map(ce => ({ k: ce.name, m: ce.amount, a: ce.amount * 12 })),
+                        ...result.monthly.components.map(c => ({ k: c.name, m: c.full, pay: c.payable, a: result.annual.earnings[c.abbr], rule: c.proration })),
+                        ...result.monthly.customEarnings.map(ce => ({ k: ce.name, m: ce.recurring ? ce.full : null, pay: ce.payable, a: ce.annual, rule: ce.proration || fixedProration, frequency: ce.frequency, detail: ce.detail })),
                       ].map((row, idx) => (
                         <tr key={row.k} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'}`}>
-                          <td className="py-2 px-3">{row.k}</td>
-                          <td className="py-2 px-3 text-right font-semibold">{rupees(row.m)}</td>
+                          <td className="py-2 px-3">
+                            {row.k}
+                            <span className="ml-1 text-[10px] text-slate-500 dark:text-slate-400">
+                              {row.m === null
+                                ? row.detail || earningFrequencies[row.frequency].label
+                                : <>{prorationModes[row.rule.mode]}{row.rule.mode === "prorateAboveMin" ? ` (min ${rupees(row.rule.min)})` : ""}</>}
+                            </span>
+                          </td>
+                          <td className="py-2 px-3 text-right">{row.m === null ? "—" : rupees(row.m)}</td>
+                          <td className="py-2 px-3 text-right font-semibold">{rupees(row.pay)}</td>
                           <td className="py-2 px-3 text-right font-semibold">{rupees(row.a)}</td>
                         </tr>
                       ))}
+                      {result.monthly.arrears && (
+                        <>
+                          <tr className="border-b bg-fuchsia-50 dark:bg-fuchsia-900/20">
+                            <td className="py-2 px-3 font-semibold" colSpan={4}>Arrears (one-off)</td>
+                          </tr>
+                          {result.monthly.arrears.components.map(c => (
+                            <tr key={`arrears-${c.abbr}`} className="border-b bg-white dark:bg-slate-900">
+                              <td className="py-2 px-3 pl-6">{c.name} Arrears</td>
+                              <td className="py-2 px-3 text-right">—</td>
+                              <td className="py-2 px-3 text-right font-semibold">{rupees(c.amount)}</td>
+                              <td className="py-2 px-3 text-right">—</td>
+                            </tr>
+                          ))}
+                        </>
+                      )}
                       <tr className="bg-gradient-to-r from-indigo-100 to-purple-100 dark:from-indigo-900/40 dark:to-purple-900/40 font-bold">
                         <td className="py-2 px-3">Total Earnings</td>
+                        <td className="py-2 px-3 text-right">{rupees(result.monthly.earningsFullTotal)}</td>
                         <td className="py-2 px-3 text-right">{rupees(result.monthly.grossPayable)}</td>
-                        <td className="py-2 px-3 text-right">{rupees((result.monthly.earningsFull.basic + result.monthly.earningsFull.hra + result.monthly.earningsFull.special + result.monthly.earningsFull.conveyance + result.monthly.earningsFull.medical + result.monthly.earningsFull.lunch + result.monthly.customEarningsTotal) * 12)}</td>
+                        <td className="py-2 px-3 text-right">{rupees(result.annual.grossEarnings)}</td>
                       </tr>
                     </tbody>
                   </table>
@@ -788,23 +1397,53 @@ export default function EnhancedPayrollCalculator() {
                     <tbody>
                       {[
                         { k:"PF (Employee)", m: result.monthly.deductions.pfEE, a: result.annual.deductions.pfEE, show: policy.pf.apply },
+                        { k:"↳ PF Wage (before ceiling)", m: result.pf.wage, a: result.pf.wageFullMonth * 12, show: policy.pf.apply, sub: true },
+                        { k:"↳ PF Wage (after ceiling)", m: result.pf.wageAfterCeiling, a: result.pf.wageFullMonthAfterCeiling * 12, show: policy.pf.apply, sub: true },
                         { k:"VPF (Employee)", m: result.monthly.deductions.vpfEE, a: result.annual.deductions.vpfEE, show: policy.pf.apply && policy.pf.vpfRate > 0 },
                         { k:"ESI (Employee)", m: result.monthly.deductions.esiEE, a: result.annual.deductions.esiEE, show: policy.esi.apply },
                         { k:"Professional Tax", m: result.monthly.deductions.pt, a: result.annual.deductions.pt, show: policy.pt.apply },
                         { k:"TDS", m: result.monthly.deductions.tds, a: result.annual.deductions.tds, show: policy.tds.apply },
-                        ...customDeductions.map(cd => ({ k: cd.name, m: cd.amount, a: cd.amount * 12, show: true })),
+                        ...(result.annual.taxBreakdown ? [
+                          { k:"↳ Slab Tax", m: result.annual.taxBreakdown.slabTax/12, a: result.annual.taxBreakdown.slabTax, show: true, sub: true },
+                          { k:"↳ Rebate u/s 87A", m: -result.annual.taxBreakdown.rebate/12, a: -result.annual.taxBreakdown.rebate, show: result.annual.taxBreakdown.rebate > 0, sub: true },
+                          { k:"↳ Surcharge", m: result.annual.taxBreakdown.surcharge/12, a: result.annual.taxBreakdown.surcharge, show: result.annual.taxBreakdown.surcharge > 0, sub: true },
+                          { k:"↳ Marginal Relief", m: -result.annual.taxBreakdown.marginalRelief/12, a: -result.annual.taxBreakdown.marginalRelief, show: result.annual.taxBreakdown.marginalRelief > 0, sub: true },
+                          { k:"↳ Health & Education Cess", m: result.annual.taxBreakdown.cess/12, a: result.annual.taxBreakdown.cess, show: true, sub: true },
+                          { k:`↳ On one-time/periodic pay (${oneOffTdsModes[policy.tds.oneOffTds].toLowerCase()})`, m: result.monthly.oneOffTds, a: result.annual.oneOffTax, show: result.annual.oneOffTax > 0, sub: true },
+                        ] : []),
+                        ...result.monthly.customDeductions.map(cd => ({ k: cd.preTax ? `${cd.name} (pre-tax)` : cd.name, m: cd.amount, a: cd.annual ?? cd.amount * 12, show: true })),
+                        ...(result.monthly.arrears ? [
+                          { k:"PF on Arrears", m: result.monthly.arrears.pfEE, a: 0, show: result.monthly.arrears.pfEE !== 0 },
+                          { k:"ESI on Arrears", m: result.monthly.arrears.esiEE, a: 0, show: result.monthly.arrears.esiEE !== 0 },
+                          { k:"TDS on Arrears", m: result.monthly.arrears.tds, a: 0, show: result.monthly.arrears.tds !== 0 },
+                        ] : []),
                       ].filter(row => row.show).map((row, idx) => (
-                        <tr key={row.k} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'}`}>
-                          <td className="py-2 px-3">{row.k}</td>
-                          <td className="py-2 px-3 text-right font-semibold">{rupees(row.m)}</td>
-                          <td className="py-2 px-3 text-right font-semibold">{rupees(row.a)}</td>
-                        </tr>
+                        row.sub ? (
+                          <tr key={row.k} className="border-b text-xs text-slate-500 dark:text-slate-400">
+                            <td className="py-1 px-3 pl-6">{row.k}</td>
+                            <td className="py-1 px-3 text-right">{rupees(row.m)}</td>
+                            <td className="py-1 px-3 text-right">{rupees(row.a)}</td>
+                          </tr>
+                        ) : (
+                          <tr key={row.k} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'}`}>
+                            <td className="py-2 px-3">{row.k}</td>
+                            <td className="py-2 px-3 text-right font-semibold">{rupees(row.m)}</td>
+                            <td className="py-2 px-3 text-right font-semibold">{rupees(row.a)}</td>
+                          </tr>
+                        )
                       ))}
                       <tr className="bg-gradient-to-r from-red-100 to-pink-100 dark:from-red-900/40 dark:to-pink-900/40 font-bold">
                         <td className="py-2 px-3">Total Deductions</td>
                         <td className="py-2 px-3 text-right">{rupees(result.monthly.totalDeductions)}</td>
                         <td className="py-2 px-3 text-right">{rupees(result.annual.totalDeductions)}</td>
                       </tr>
+                      {(result.monthly.roundingAdjustment !== 0 || result.annual.roundingAdjustment !== 0) && (
+                        <tr className="border-b bg-white dark:bg-slate-900">
+                          <td className="py-2 px-3">Rounding Adjustment ({roundingModes[policy.rounding.netPay]})</td>
+                          <td className="py-2 px-3 text-right font-semibold">{result.monthly.roundingAdjustment < 0 ? "−" : "+"}{rupees(Math.abs(result.monthly.roundingAdjustment))}</td>
+                          <td className="py-2 px-3 text-right font-semibold">{result.annual.roundingAdjustment < 0 ? "−" : "+"}{rupees(Math.abs(result.annual.roundingAdjustment))}</td>
+                        </tr>
+                      )}
                       <tr className="bg-gradient-to-r from-emerald-100 to-green-100 dark:from-emerald-900/40 dark:to-green-900/40 font-bold text-lg">
                         <td className="py-3 px-3">Net Pay</td>
                         <td className={"py-3 px-3 text-right "+(result.flags.negativeNet?"text-red-600 dark:text-red-400":"text-emerald-700 dark:text-emerald-400")}>{rupees(result.monthly.netPay)}</td>
@@ -816,24 +1455,227 @@ export default function EnhancedPayrollCalculator() {
               </CardContent>
             </Card>
 
+            <RegimeComparison
+              comparison={regimeComparison}
+              currentRegime={policy.tds.regime}
+              onSelectRegime={(regime)=>setPolicy(p=>({...p, tds:{...p.tds, regime}}))}
+            />
+
+            <Card className="shadow-xl border-amber-200 dark:border-amber-800">
+              <CardHeader className="bg-gradient-to-r from-amber-500 to-orange-600 text-white">
+                <CardTitle>CTC → Gross → Net</CardTitle>
+              </CardHeader>
+              <CardContent className="pt-4">
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm border-collapse">
+                    <thead>
+                      <tr className="bg-gradient-to-r from-amber-100 to-orange-100 dark:from-amber-900/40 dark:to-orange-900/40">
+                        <th className="py-2 px-3 text-left font-semibold">Step</th>
+                        <th className="py-2 px-3 text-right font-semibold">Monthly</th>
+                        <th className="py-2 px-3 text-right font-semibold">Annual</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr className="bg-gradient-to-r from-amber-100 to-orange-100 dark:from-amber-900/40 dark:to-orange-900/40 font-bold">
+                        <td className="py-2 px-3">Cost to Company</td>
+                        <td className="py-2 px-3 text-right">{rupees(result.monthly.ctc)}</td>
+                        <td className="py-2 px-3 text-right">{rupees(result.annual.ctc)}</td>
+                      </tr>
+                      {[
+                        { k:"− Employer EPF", m: result.monthly.employer.epfER, a: result.annual.employer.epfER, show: policy.pf.apply },
+                        { k:"− Employer EPS", m: result.monthly.employer.epsER, a: result.annual.employer.epsER, show: policy.pf.apply },
+                        { k:"− EDLI", m: result.monthly.employer.edli, a: result.annual.employer.edli, show: policy.pf.apply },
+                        { k:"− PF Admin Charges", m: result.monthly.employer.pfAdmin, a: result.annual.employer.pfAdmin, show: policy.pf.apply },
+                        { k:"− Employer ESI", m: result.monthly.employer.esiER, a: result.annual.employer.esiER, show: policy.esi.apply },
+                        { k:"− Gratuity Provision", m: result.monthly.employer.gratuity, a: result.annual.employer.gratuity, show: policy.gratuity.apply },
+                        { k:"− Employer NPS (80CCD(2))", m: result.monthly.employer.npsER, a: result.annual.employer.npsER, show: result.annual.employer.npsER > 0 },
+                        { k:"− Employer PF/ESI on Arrears", m: result.monthly.arrears?.employer || 0, a: 0, show: !!result.monthly.arrears?.employer },
+                      ].filter(row => row.show).map((row, idx) => (
+                        <tr key={row.k} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'}`}>
+                          <td className="py-2 px-3">{row.k}</td>
+                          <td className="py-2 px-3 text-right font-semibold">{rupees(row.m)}</td>
+                          <td className="py-2 px-3 text-right font-semibold">{rupees(row.a)}</td>
+                        </tr>
+                      ))}
+                      <tr className="bg-gradient-to-r from-indigo-100 to-purple-100 dark:from-indigo-900/40 dark:to-purple-900/40 font-bold">
+                        <td className="py-2 px-3">Gross Earnings</td>
+                        <td className="py-2 px-3 text-right">{rupees(result.monthly.grossPayable)}</td>
+                        <td className="py-2 px-3 text-right">{rupees(result.annual.grossEarnings)}</td>
+                      </tr>
+                      {result.bonus.eligible && (
+                        <tr className="border-b text-xs text-slate-500 dark:text-slate-400">
+                          <td className="py-1 px-3 pl-6">↳ incl. Statutory Bonus ({bonusModes[policy.bonus.mode].toLowerCase()})</td>
+                          <td className="py-1 px-3 text-right">{rupees(result.bonus.payable)}</td>
+                          <td className="py-1 px-3 text-right">{rupees(result.bonus.annual)}</td>
+                        </tr>
+                      )}
+                      <tr className="border-b bg-white dark:bg-slate-900">
+                        <td className="py-2 px-3">− Employee Deductions</td>
+                        <td className="py-2 px-3 text-right font-semibold">{rupees(result.monthly.totalDeductions)}</td>
+                        <td className="py-2 px-3 text-right font-semibold">{rupees(result.annual.totalDeductions)}</td>
+                      </tr>
+                      {(result.monthly.roundingAdjustment !== 0 || result.annual.roundingAdjustment !== 0) && (
+                        <tr className="border-b bg-white dark:bg-slate-900">
+                          <td className="py-2 px-3">± Rounding Adjustment</td>
+                          <td className="py-2 px-3 text-right font-semibold">{rupees(result.monthly.roundingAdjustment)}</td>
+                          <td className="py-2 px-3 text-right font-semibold">{rupees(result.annual.roundingAdjustment)}</td>
+                        </tr>
+                      )}
+                      <tr className="bg-gradient-to-r from-emerald-100 to-green-100 dark:from-emerald-900/40 dark:to-green-900/40 font-bold text-lg">
+                        <td className="py-3 px-3">Net Pay</td>
+                        <td className="py-3 px-3 text-right text-emerald-700 dark:text-emerald-400">{rupees(result.monthly.netPay)}</td>
+                        <td className="py-3 px-3 text-right text-emerald-700 dark:text-emerald-400">{rupees(result.annual.netPay)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card className="shadow-xl border-teal-200 dark:border-teal-800">
+              <CardHeader className="bg-gradient-to-r from-teal-500 to-cyan-600 text-white">
+                <CardTitle>Monthly × 12 vs Annual</CardTitle>
+              </CardHeader>
+              <CardContent className="pt-4">
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm border-collapse">
+                    <thead>
+                      <tr className="bg-gradient-to-r from-teal-100 to-cyan-100 dark:from-teal-900/40 dark:to-cyan-900/40">
+                        <th className="py-2 px-3 text-left font-semibold">Line</th>
+                        <th className="py-2 px-3 text-right font-semibold">Full Month × 12</th>
+                        <th className="py-2 px-3 text-right font-semibold">Annual</th>
+                        <th className="py-2 px-3 text-right font-semibold">Difference</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.reconciliation.map((line, idx) => (
+                        <tr key={line.key} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'} ${line.key === "netPay" ? "font-bold" : ""}`}>
+                          <td className="py-2 px-3">
+                            {reconciliationLabels[line.key]}
+                            {line.difference !== 0 && reconciliationReasons[line.key] && (
+                              <div className="text-[10px] text-slate-500 dark:text-slate-400">{reconciliationReasons[line.key]}</div>
+                            )}
+                          </td>
+                          <td className="py-2 px-3 text-right">{rupees(line.monthlyX12)}</td>
+                          <td className="py-2 px-3 text-right">{rupees(line.annual)}</td>
+                          <td className={`py-2 px-3 text-right font-semibold ${line.difference !== 0 ? "text-amber-700 dark:text-amber-400" : "text-slate-400"}`}>
+                            {line.difference > 0 ? "+" : line.difference < 0 ? "−" : ""}{rupees(Math.abs(line.difference))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </CardContent>
+            </Card>
+
             <Card className="shadow-lg border-slate-200 dark:border-slate-700">
               <CardHeader className="bg-gradient-to-r from-slate-500 to-slate-700 text-white">
                 <CardTitle className="text-base">Formula Notes</CardTitle>
               </CardHeader>
               <CardContent className="pt-4">
                 <ul className="text-xs space-y-1 list-disc ml-4 text-slate-700 dark:text-slate-300">
-                  <li><b>Basic</b> = Gross × {pct(defaultPolicy.basicPctOfGross)}</li>
-                  <li><b>HRA</b> = Basic × {pct(defaultPolicy.hraPctOfBasic)}</li>
-                  <li><b>Special</b> = Gross − (Basic + HRA + Fixed allowances)</li>
-                  <li><b>Pro‑ration</b> applies only to Basic/HRA/Special</li>
+                  {policy.structure.map(c => (
+                    <li key={c.abbr}>
+                      <b>{c.name}</b> ({c.abbr}) = <code>{c.formula}</code>
+                      {c.condition?.trim() ? <> when <code>{c.condition}</code></> : null}
+                    </li>
+                  ))}
+                  <li>Basic % = {pct(policy.basicPctOfGross)} (basicPct), HRA % = {pct(policy.hraPctOfBasic)} (hraPct)</li>
+                  <li><b>Pro‑ration</b> factor = Payment Days ÷ Month Days ({pct(result.factor)}); in a joining or leaving month, the calendar days employed ÷ the month's calendar days; each component is prorated, paid in full (fixed), or paid its minimum in full with only the excess prorated</li>
+                  <li><b>Rounding</b>: amounts are scaled in paise and rounded once per component; net pay rounds {roundingModes[policy.rounding.netPay].toLowerCase()} with the difference shown as a rounding adjustment</li>
                   <li><b>Deductions</b> apply based on toggle switches (PF, ESI, PT, TDS)</li>
-                  <li><b>TDS</b> computed from annual slabs with 4% cess</li>
+                  <li><b>PF wage</b> = {policy.structure.filter(c => policy.pf.baseIncludes.includes(c.abbr)).map(c => c.name).join(" + ") || "nothing"} + custom earnings flagged PF wage{policy.pf.restrictBaseToCeiling ? `, capped at ${rupees(policy.pf.wageCeiling)}` : ""}</li>
+                  <li><b>Custom earnings</b> are taxed per their flag (taxable, exempt up to a monthly limit, or exempt) and count as PF/ESI wages only when flagged; <b>pre-tax deductions</b> ({rupees(result.monthly.preTaxDeductionsTotal)}/month) reduce taxable salary</li>
+                  <li><b>TDS</b> computed from {taxRulePacks[policy.tds.fy]?.label || "annual"} slabs, less 87A rebate, plus surcharge (with marginal relief) and {pct(policy.tds.cessRate)} cess</li>
+                  <li>
+                    <b>HRA exemption</b> u/s 10(13A){policy.tds.regime === "new" ? " (old regime only — not applied)" : ""} = least of
+                    actual HRA {rupees(result.annual.hraExemption.actualHra)},
+                    rent − 10% of Basic {rupees(result.annual.hraExemption.rentLessTenPct)},
+                    {result.annual.hraExemption.metro ? " 50%" : " 40%"} of Basic {rupees(result.annual.hraExemption.pctOfBasic)}
+                    {" "}→ <b>{rupees(result.annual.hraExemption.exempt)}</b>
+                  </li>
+                  <li>
+                    <b>Declarations</b> ({policy.tds.regime === "new" ? "new regime: 80CCD(2) only" : "old regime: capped per section"}) reduce taxable income by <b>{rupees(result.annual.declaredDeductions.total)}</b>
+                  </li>
+                  <li><b>Professional Tax</b> follows {ptStates[ptState] ? `${ptStates[ptState].name}'s` : "the flat"} schedule for {monthNames[payrollMonth - 1]}; annual figure is the FY total (max ₹2,500)</li>
+                  {result.bonus.eligible && (
+                    <li><b>Statutory bonus</b> = {pct(policy.bonus.rate)} × min(bonus wages {rupees(result.bonus.wage)}, higher of {rupees(policy.bonus.calculationCeiling)} and minimum wage) = {rupees(result.bonus.monthly)}/month, {policy.bonus.mode === "monthly" ? "paid monthly" : `paid yearly in ${monthNames[policy.bonus.payoutMonth - 1]}`}</li>
+                  )}
+                  {result.annual.oneOffTax > 0 && (
+                    <li><b>One-time & periodic earnings</b> are paid only in their payout months and add <b>{rupees(result.annual.oneOffTax)}</b> to the year's tax, deducted {policy.tds.oneOffTds === "lump" ? "in full in each payout month" : "over the FY months left from each payout"}</li>
+                  )}
+                  {result.loans.emiTotal > 0 && (
+                    <li><b>Loan EMIs</b> of {rupees(result.loans.emiTotal)} are recovered this month ({rupees(result.loans.emiForYear)} over the FY); the concessional-loan perquisite (interest at SBI rates less interest charged, on month-end balances) adds <b>{rupees(result.loans.perquisite.year)}</b> to taxable income</li>
+                  )}
+                  {result.monthly.arrears && (
+                    <li><b>Arrears</b> = new − old full-month pay for each month since the revision, paid once with PF/ESI on the difference; TDS on arrears is the whole extra annual tax they cause, deducted with them</li>
+                  )}
+                  <li><b>CTC</b> = Gross + Employer EPF/EPS/EDLI/Admin + Employer ESI + Gratuity ({pct(policy.gratuity.rateOfBasic)} of Basic) + Employer NPS (also taxable salary, less the capped 80CCD(2) deduction)</li>
                 </ul>
               </CardContent>
             </Card>
             </div>
           </div>
         </div>
+
+        {settlementEmployee && (
+          <div className="mx-auto max-w-7xl mt-6">
+            <FullAndFinalSettlement
+              employee={settlementEmployee}
+              inputs={settlementInputs}
+              setInputs={setSettlementInputs}
+              settlement={settlement}
+              error={settlementError}
+              onClose={() => setSettlementEmployee(null)}
+            />
+          </div>
+        )}
+
+        <div className="mx-auto max-w-7xl mt-6">
+          <AttendanceCalendar
+            employee={employee}
+            year={payrollYear}
+            month={payrollMonth}
+            days={attendanceDays}
+            setDays={setAttendanceDays}
+            summary={attendanceSummary}
+            settings={policy.attendance}
+            setSettings={(attendance) => setPolicy((p) => ({ ...p, attendance }))}
+          />
+        </div>
+
+        <div className="mx-auto max-w-7xl mt-6">
+          <LoanManager
+            employee={employee}
+            loans={employeeLoans}
+            setLoans={(loans) => setLoanRecords((records) => ({ ...records, [employee]: loans }))}
+            recovery={result.loans}
+            sbiRates={policy.loans.sbiRates}
+            setSbiRates={(sbiRates) => setPolicy((p) => ({ ...p, loans: { ...p.loans, sbiRates } }))}
+            exemptLimit={policy.loans.perquisiteExemptLimit}
+            year={payrollYear}
+            month={payrollMonth}
+          />
+        </div>
+
+        <div className="mx-auto max-w-7xl mt-6">
+          <SalaryRevision revision={revision} setRevision={setRevision} arrears={arrears} />
+        </div>
+
+        <div className="mx-auto max-w-7xl mt-6">
+          <Section89Relief relief={section89} years={reliefYears} setYears={setReliefYears} employee={employee} />
+        </div>
+
+        <div className="mx-auto max-w-7xl mt-6">
+          <PayrollSchedule
+            schedule={schedule}
+            months={scheduleMonths}
+            setMonths={setScheduleMonths}
+            monthDays={effectiveMonthDays}
+            fyLabel={taxRulePacks[policy.tds.fy]?.label}
+          />
+        </div>
       </div>
     </div>
   );
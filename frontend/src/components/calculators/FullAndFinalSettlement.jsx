@@ -0,0 +1,175 @@
+import React, { useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { LogOut, FileDown, X } from 'lucide-react';
+import { monthNames } from '@/lib/ptRules';
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const Statement = ({ employee, settlement }) => {
+  const { service, finalMonth, gratuity, leave, notice, tax } = settlement;
+  const final = finalMonth.result.monthly;
+
+  const earnings = [
+    ...final.components.filter((c) => c.payable).map((c) => [c.name, c.payable]),
+    ...final.customEarnings.filter((ce) => ce.payable).map((ce) => [ce.name, ce.payable]),
+    [`Gratuity (${gratuity.years} yrs × 15/26 × ${formatRupees(settlement.lastWage)})`, gratuity.amount],
+    [`Leave Encashment (${leave.days} days)`, leave.amount],
+  ].filter(([, amount]) => amount);
+
+  const deductions = [
+    ['PF (Employee)', final.deductions.pfEE + final.deductions.vpfEE],
+    ['ESI (Employee)', final.deductions.esiEE],
+    ['Professional Tax', final.deductions.pt],
+    ...final.customDeductions.map((cd) => [cd.name, cd.amount]),
+    [`Notice Pay Recovery (${notice.shortfallDays} days)`, notice.recovery],
+    ['Loan Balance Recovery', settlement.loanRecovery],
+    ['TDS on Settlement', tax.due],
+  ].filter(([, amount]) => amount);
+
+  return (
+    <>
+      <div className="text-sm">
+        <div className="font-semibold">Full & Final Settlement Statement — {employee.name}</div>
+        <div className="text-xs text-slate-600 dark:text-slate-400">
+          Service {service.years} yrs {service.months} mths {service.days} days · Final month {monthNames[finalMonth.month - 1]} {finalMonth.year}: {finalMonth.paidDays} of {finalMonth.daysInMonth} days
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-3">
+        {[['Earnings', earnings, settlement.earnings], ['Deductions', deductions, settlement.deductions]].map(([title, rows, total]) => (
+          <table key={title} className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="bg-gradient-to-r from-rose-100 to-orange-100 dark:from-rose-900/40 dark:to-orange-900/40">
+                <th className="py-2 px-2 text-left font-semibold">{title}</th>
+                <th className="py-2 px-2 text-right font-semibold">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([label, amount]) => (
+                <tr key={label} className="border-b">
+                  <td className="py-1 px-2">{label}</td>
+                  <td className="py-1 px-2 text-right">{formatRupees(amount)}</td>
+                </tr>
+              ))}
+              <tr className="font-bold">
+                <td className="py-2 px-2">Total {title}</td>
+                <td className="py-2 px-2 text-right">{formatRupees(total)}</td>
+              </tr>
+            </tbody>
+          </table>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between p-3 rounded-lg bg-gradient-to-r from-emerald-100 to-green-100 dark:from-emerald-900/40 dark:to-green-900/40 font-bold">
+        <span>Net Settlement {settlement.net < 0 ? 'Recoverable' : 'Payable'}</span>
+        <span className={settlement.net < 0 ? 'text-red-600 dark:text-red-400' : 'text-emerald-700 dark:text-emerald-400'}>
+          {formatRupees(Math.abs(settlement.net))}
+        </span>
+      </div>
+
+      <ul className="text-xs space-y-1 list-disc ml-4 text-slate-700 dark:text-slate-300">
+        <li>
+          <b>Gratuity</b>{gratuity.eligible
+            ? <>: exempt u/s 10(10) {formatRupees(gratuity.exempt)}, taxable {formatRupees(gratuity.taxable)}</>
+            : <> not payable — {service.years} completed years, five needed</>}
+        </li>
+        <li>
+          <b>Leave encashment</b>: exempt u/s 10(10AA) {formatRupees(leave.exempt)} (least of the amount, ₹25,00,000, ten months' basic + DA
+          and {leave.credit} days' credit), taxable {formatRupees(leave.taxable)}
+        </li>
+        <li>
+          <b>Notice</b>: {notice.served} of {notice.required} days served{notice.shortfallDays ? `; ${notice.shortfallDays} days recovered at gross ÷ 30` : ''}
+        </li>
+        <li>
+          <b>TDS</b>: FY tax {formatRupees(tax.withoutSettlement)} on salary alone, {formatRupees(tax.withSettlement)} with the settlement;
+          {' '}{formatRupees(tax.deductedEarlier)} deducted in earlier months
+          {tax.excess > 0 ? <> — {formatRupees(tax.excess)} excess to be claimed in the return</> : <> — {formatRupees(tax.due)} deducted now</>}
+        </li>
+      </ul>
+    </>
+  );
+};
+
+const FullAndFinalSettlement = ({ employee, inputs, setInputs, settlement, error, onClose }) => {
+  const statementRef = useRef(null);
+  const update = (key, value) => setInputs({ ...inputs, [key]: value });
+  const days = (value) => Math.max(0, Math.round(parseFloat(value) || 0));
+
+  const downloadStatement = async () => {
+    const element = statementRef.current;
+    if (!element) return;
+    try {
+      const mod = await import('html2pdf.js');
+      const html2pdf = mod?.default || mod;
+      const safeName = (employee.name || 'employee').replace(/\s+/g, '_');
+      await html2pdf().set({
+        margin: [8, 8, 8, 8],
+        filename: `FnF_Settlement_${safeName}.pdf`,
+        image: { type: 'jpeg', quality: 0.9 },
+        html2canvas: { scale: 1.5, useCORS: true },
+        jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' },
+      }).from(element).save();
+    } catch (err) {
+      console.error('[PDF] Failed to export settlement:', err);
+      alert('PDF export failed. Check console for details.');
+    }
+  };
+
+  return (
+    <Card className="shadow-xl border-rose-200 dark:border-rose-800">
+      <CardHeader className="bg-gradient-to-r from-rose-500 to-orange-600 text-white">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <LogOut className="h-6 w-6" />
+            <span>Full & Final Settlement — {employee.name}</span>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="secondary" size="sm" className="gap-1" onClick={downloadStatement} disabled={!settlement}>
+              <FileDown className="h-4 w-4" /> Statement
+            </Button>
+            <Button variant="secondary" size="icon" onClick={onClose} title="Close settlement">
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <div>
+            <Label className="text-xs">Date of Joining</Label>
+            <Input type="date" value={inputs.doj} onChange={(e) => e.target.value && update('doj', e.target.value)} className="mt-1" />
+          </div>
+          <div>
+            <Label className="text-xs">Last Working Day</Label>
+            <Input type="date" value={inputs.lwd} onChange={(e) => e.target.value && update('lwd', e.target.value)} className="mt-1" />
+          </div>
+          <div>
+            <Label className="text-xs">Notice Period (days)</Label>
+            <Input type="number" value={inputs.noticeDays} onChange={(e) => update('noticeDays', days(e.target.value))} className="mt-1" />
+          </div>
+          <div>
+            <Label className="text-xs">Notice Served (days)</Label>
+            <Input type="number" value={inputs.noticeServedDays} onChange={(e) => update('noticeServedDays', days(e.target.value))} className="mt-1" />
+          </div>
+          <div>
+            <Label className="text-xs">Leave Balance (days)</Label>
+            <Input type="number" value={inputs.leaveBalance} onChange={(e) => update('leaveBalance', days(e.target.value))} className="mt-1" />
+          </div>
+        </div>
+
+        {!settlement ? (
+          <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+        ) : (
+          <div ref={statementRef} className="space-y-3 bg-white dark:bg-slate-900 p-2">
+            <Statement employee={employee} settlement={settlement} />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FullAndFinalSettlement;
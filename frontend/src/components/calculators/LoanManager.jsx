@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Landmark, Plus, X, ChevronDown, ChevronUp } from 'lucide-react';
+import { monthNames } from '@/lib/ptRules';
+import { loanPurposes, emptyLoan, loanRow } from '@/lib/loans';
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const LoanManager = ({ employee, loans, setLoans, recovery, sbiRates, setSbiRates, exemptLimit, year, month }) => {
+  const [expanded, setExpanded] = useState(null);
+  const [showRates, setShowRates] = useState(false);
+  const amount = (value) => Math.max(0, Math.round(parseFloat(value) || 0));
+  const percent = (value) => Math.max(0, parseFloat(value) || 0) / 100;
+
+  const updateLoan = (idx, key, value) => setLoans(loans.map((loan, i) => (i === idx ? { ...loan, [key]: value } : loan)));
+  const removeLoan = (idx) => {
+    setLoans(loans.filter((_, i) => i !== idx));
+    setExpanded(null);
+  };
+  const addLoan = () => setLoans([...loans, { ...emptyLoan, startMonth: `${year}-${String(month).padStart(2, '0')}` }]);
+  const rowsOf = (loan) => recovery.schedules.find((s) => s.loan === loan)?.rows || [];
+
+  return (
+    <Card className="shadow-xl border-amber-200 dark:border-amber-800">
+      <CardHeader className="bg-gradient-to-r from-amber-500 to-orange-600 text-white">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Landmark className="h-6 w-6" />
+            <span>Loans & Advances — {employee}</span>
+          </div>
+          <Button variant="secondary" size="sm" className="gap-1" onClick={addLoan}>
+            <Plus className="h-4 w-4" /> Loan
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-4">
+        {loans.length === 0 ? (
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            No loans or advances. Add one to recover its EMI through payroll.
+          </p>
+        ) : (
+          loans.map((loan, idx) => {
+            const rows = rowsOf(loan);
+            const current = loanRow(rows, year, month);
+            return (
+              <div key={idx} className="rounded-lg border border-amber-200 dark:border-amber-800 p-3 space-y-2">
+                <div className="grid grid-cols-2 md:grid-cols-8 gap-2 items-end">
+                  <div className="md:col-span-2">
+                    <Label className="text-xs">Name</Label>
+                    <Input value={loan.name} placeholder={loanPurposes[loan.purpose]} onChange={(e) => updateLoan(idx, 'name', e.target.value)} className="h-8 text-xs" />
+                  </div>
+                  <div>
+                    <Label className="text-xs">Purpose</Label>
+                    <Select value={loan.purpose} onValueChange={(v) => updateLoan(idx, 'purpose', v)}>
+                      <SelectTrigger className="h-8 text-xs"><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(loanPurposes).map(([key, label]) => (
+                          <SelectItem key={key} value={key}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label className="text-xs">Principal</Label>
+                    <Input type="number" value={loan.principal} onChange={(e) => updateLoan(idx, 'principal', amount(e.target.value))} className="h-8 text-xs" />
+                  </div>
+                  <div>
+                    <Label className="text-xs">Interest % p.a.</Label>
+                    <Input type="number" value={Math.round(loan.annualRate * 10000) / 100} onChange={(e) => updateLoan(idx, 'annualRate', percent(e.target.value))} className="h-8 text-xs" />
+                  </div>
+                  <div>
+                    <Label className="text-xs">Tenure (months)</Label>
+                    <Input type="number" value={loan.tenureMonths} onChange={(e) => updateLoan(idx, 'tenureMonths', Math.max(1, amount(e.target.value)))} className="h-8 text-xs" />
+                  </div>
+                  <div>
+                    <Label className="text-xs">Start Month</Label>
+                    <Input type="month" value={loan.startMonth} onChange={(e) => e.target.value && updateLoan(idx, 'startMonth', e.target.value)} className="h-8 text-xs" />
+                  </div>
+                  <div className="flex items-end gap-1">
+                    <div className="flex-1">
+                      <Label className="text-xs">Moratorium</Label>
+                      <Input type="number" value={loan.moratoriumMonths} onChange={(e) => updateLoan(idx, 'moratoriumMonths', amount(e.target.value))} className="h-8 text-xs" />
+                    </div>
+                    <Button size="icon" variant="ghost" className="h-8" onClick={() => removeLoan(idx)} title="Remove loan">
+                      <X className="h-4 w-4 text-red-500" />
+                    </Button>
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between text-xs text-slate-600 dark:text-slate-300">
+                  <span>
+                    {current
+                      ? <>{monthNames[month - 1]} {year}: {current.moratorium ? 'moratorium, no EMI' : <>EMI <b>{formatRupees(current.emi)}</b></>} · balance after {formatRupees(current.closing)}</>
+                      : rows.length > 0 && rows[0].year * 12 + rows[0].month > year * 12 + month
+                        ? `Repayment starts ${monthNames[rows[0].month - 1]} ${rows[0].year}`
+                        : 'Fully repaid'}
+                  </span>
+                  <Button size="sm" variant="ghost" className="gap-1 text-xs h-7" onClick={() => setExpanded(expanded === idx ? null : idx)}>
+                    Schedule {expanded === idx ? <ChevronUp className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />}
+                  </Button>
+                </div>
+
+                {expanded === idx && (
+                  <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                    <table className="w-full text-xs border-collapse">
+                      <thead>
+                        <tr className="bg-gradient-to-r from-amber-100 to-orange-100 dark:from-amber-900/40 dark:to-orange-900/40">
+                          <th className="py-2 px-2 text-left font-semibold">Month</th>
+                          <th className="py-2 px-2 text-right font-semibold">Opening</th>
+                          <th className="py-2 px-2 text-right font-semibold">Interest</th>
+                          <th className="py-2 px-2 text-right font-semibold">EMI</th>
+                          <th className="py-2 px-2 text-right font-semibold">Principal</th>
+                          <th className="py-2 px-2 text-right font-semibold">Closing</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((row) => (
+                          <tr key={`${row.year}-${row.month}`}
+                            className={`border-b ${row === current ? 'bg-amber-50 dark:bg-amber-900/20 font-semibold' : ''}`}>
+                            <td className="py-1 px-2">
+                              {monthNames[row.month - 1]} {row.year}
+                              {row.moratorium && <span className="ml-1 text-[10px] text-slate-500 dark:text-slate-400">moratorium</span>}
+                            </td>
+                            <td className="py-1 px-2 text-right">{formatRupees(row.opening)}</td>
+                            <td className="py-1 px-2 text-right">{formatRupees(row.interest)}</td>
+                            <td className="py-1 px-2 text-right">{formatRupees(row.emi)}</td>
+                            <td className="py-1 px-2 text-right">{formatRupees(row.principal)}</td>
+                            <td className="py-1 px-2 text-right">{formatRupees(row.closing)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+
+        {loans.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div>EMIs this month <b>{formatRupees(recovery.emiTotal)}</b></div>
+            <div>EMIs this FY <b>{formatRupees(recovery.emiForYear)}</b></div>
+            <div>Outstanding <b>{formatRupees(recovery.outstanding)}</b></div>
+            <div>Perquisite this FY <b>{formatRupees(recovery.perquisite.year)}</b></div>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              EMIs are deducted from net pay with the custom deductions. Interest-free and concessional loans are taxed on interest at
+              SBI's 1 April rate, less interest charged, on each month-end balance — unless the loans outstanding total{' '}
+              {formatRupees(exemptLimit)} or less, or are for treating a Rule 3A disease.
+            </p>
+            <Button size="sm" variant="outline" className="text-xs shrink-0 ml-2" onClick={() => setShowRates(!showRates)}>
+              SBI Rates
+            </Button>
+          </div>
+          {showRates && (
+            <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+              {Object.entries(loanPurposes).map(([key, label]) => (
+                <div key={key}>
+                  <Label className="text-xs">{label} %</Label>
+                  <Input type="number" value={Math.round((sbiRates[key] || 0) * 10000) / 100}
+                    onChange={(e) => setSbiRates({ ...sbiRates, [key]: percent(e.target.value) })} className="h-8 text-xs" />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LoanManager;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { CalendarDays, RotateCcw } from 'lucide-react';
+import { monthNames } from '@/lib/ptRules';
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const PayrollSchedule = ({ schedule, months, setMonths, monthDays, fyLabel }) => {
+  const updateMonth = (idx, key, value) => {
+    setMonths(months.map((m, i) => (i === idx ? { ...m, [key]: value } : m)));
+  };
+  const amount = (value) => Math.round(parseFloat(value) || 0);
+
+  const resetMonths = () => setMonths(months.map(() => ({})));
+
+  return (
+    <Card className="shadow-xl border-sky-200 dark:border-sky-800">
+      <CardHeader className="bg-gradient-to-r from-sky-500 to-indigo-600 text-white">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <CalendarDays className="h-6 w-6" />
+            <span>Annual Payroll Schedule{fyLabel ? ` — ${fyLabel}` : ''}</span>
+          </div>
+          <Button variant="secondary" size="icon" onClick={resetMonths} title="Clear month overrides">
+            <RotateCcw className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4">
+        <p className="text-xs text-slate-500 dark:text-slate-400 mb-3">
+          TDS is recomputed every month from year-to-date taxable income and tax already deducted, projecting regular
+          salary for the months left. Declaration changes are annual amounts (old regime) effective from that month.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="bg-gradient-to-r from-sky-100 to-indigo-100 dark:from-sky-900/40 dark:to-indigo-900/40">
+                <th className="py-2 px-2 text-left font-semibold">Month</th>
+                <th className="py-2 px-2 text-right font-semibold">Pay Days</th>
+                <th className="py-2 px-2 text-right font-semibold">Arrears</th>
+                <th className="py-2 px-2 text-right font-semibold">Bonus</th>
+                <th className="py-2 px-2 text-right font-semibold">Decl. Change</th>
+                <th className="py-2 px-2 text-right font-semibold">Gross</th>
+                <th className="py-2 px-2 text-right font-semibold">PF/ESI/PT</th>
+                <th className="py-2 px-2 text-right font-semibold">Other</th>
+                <th className="py-2 px-2 text-right font-semibold">TDS</th>
+                <th className="py-2 px-2 text-right font-semibold">Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.rows.map((row, idx) => (
+                <tr key={row.month} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'}`}>
+                  <td className="py-1 px-2 font-medium">
+                    {monthNames[row.month - 1]}
+                    {row.employment?.prorated && (
+                      <div className="text-[10px] font-normal text-amber-700 dark:text-amber-400">
+                        {!row.employment.employed ? 'Not employed' : `${row.employment.firstMonth ? 'Joined' : 'Left'} · ${row.employment.employedDays}/${row.employment.daysInMonth} days`}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-1 px-2">
+                    <Input
+                      type="number"
+                      value={row.paymentDays}
+                      onChange={(e) => updateMonth(idx, 'paymentDays', Math.max(0, Math.min(amount(e.target.value), monthDays)))}
+                      className="h-7 w-16 text-xs text-right ml-auto"
+                    />
+                  </td>
+                  <td className="py-1 px-2">
+                    <Input
+                      type="number"
+                      value={months[idx].arrears || 0}
+                      onChange={(e) => updateMonth(idx, 'arrears', Math.max(0, amount(e.target.value)))}
+                      className="h-7 w-24 text-xs text-right ml-auto"
+                    />
+                  </td>
+                  <td className="py-1 px-2">
+                    <Input
+                      type="number"
+                      value={months[idx].bonus || 0}
+                      onChange={(e) => updateMonth(idx, 'bonus', Math.max(0, amount(e.target.value)))}
+                      className="h-7 w-24 text-xs text-right ml-auto"
+                    />
+                  </td>
+                  <td className="py-1 px-2">
+                    <Input
+                      type="number"
+                      value={months[idx].declarationsDelta || 0}
+                      onChange={(e) => updateMonth(idx, 'declarationsDelta', amount(e.target.value))}
+                      className="h-7 w-24 text-xs text-right ml-auto"
+                    />
+                  </td>
+                  <td className="py-1 px-2 text-right font-semibold">{formatRupees(row.gross)}</td>
+                  <td className="py-1 px-2 text-right">{formatRupees(row.statutory)}</td>
+                  <td className="py-1 px-2 text-right">{formatRupees(row.otherDeductions)}</td>
+                  <td className="py-1 px-2 text-right">{formatRupees(row.tds)}</td>
+                  <td className="py-1 px-2 text-right font-semibold text-emerald-700 dark:text-emerald-400">{formatRupees(row.net)}</td>
+                </tr>
+              ))}
+              <tr className="bg-gradient-to-r from-sky-100 to-indigo-100 dark:from-sky-900/40 dark:to-indigo-900/40 font-bold">
+                <td className="py-2 px-2" colSpan={2}>FY Total</td>
+                <td className="py-2 px-2 text-right">{formatRupees(schedule.totals.arrears)}</td>
+                <td className="py-2 px-2 text-right">{formatRupees(schedule.totals.bonus)}</td>
+                <td className="py-2 px-2" />
+                <td className="py-2 px-2 text-right">{formatRupees(schedule.totals.gross)}</td>
+                <td className="py-2 px-2 text-right">{formatRupees(schedule.totals.statutory)}</td>
+                <td className="py-2 px-2 text-right">{formatRupees(schedule.totals.otherDeductions)}</td>
+                <td className="py-2 px-2 text-right">{formatRupees(schedule.totals.tds)}</td>
+                <td className="py-2 px-2 text-right text-emerald-700 dark:text-emerald-400">{formatRupees(schedule.totals.net)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PayrollSchedule;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Scale } from 'lucide-react';
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const regimeLabel = { new: 'New Regime', old: 'Old Regime' };
+
+const RegimeComparison = ({ comparison, currentRegime, onSelectRegime }) => {
+  const rows = [
+    { k: 'Taxable Income', key: 'taxable' },
+    { k: 'Annual Tax', key: 'annualTax' },
+    { k: 'Monthly TDS', key: 'monthlyTds' },
+    { k: 'Monthly Net Pay', key: 'monthlyNet' },
+    { k: 'Annual Net Pay', key: 'annualNet' },
+  ];
+  const { better, savings, extraDeductions } = comparison;
+
+  return (
+    <Card className="shadow-xl border-cyan-200 dark:border-cyan-800">
+      <CardHeader className="bg-gradient-to-r from-cyan-500 to-blue-600 text-white">
+        <CardTitle className="flex items-center gap-2">
+          <Scale className="h-6 w-6" /> Old vs New Regime
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-3">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="bg-gradient-to-r from-cyan-100 to-blue-100 dark:from-cyan-900/40 dark:to-blue-900/40">
+                <th className="py-2 px-3 text-left font-semibold">Metric</th>
+                {['new', 'old'].map((r) => (
+                  <th key={r} className={`py-2 px-3 text-right font-semibold ${better === r ? 'text-emerald-700 dark:text-emerald-400' : ''}`}>
+                    {regimeLabel[r]}{better === r ? ' ✓' : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, idx) => (
+                <tr key={row.key} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'}`}>
+                  <td className="py-2 px-3">{row.k}</td>
+                  <td className="py-2 px-3 text-right font-semibold">{formatRupees(comparison.new[row.key])}</td>
+                  <td className="py-2 px-3 text-right font-semibold">{formatRupees(comparison.old[row.key])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="p-3 rounded-lg bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-300 dark:border-emerald-700 text-sm">
+          <div>
+            Recommended: <b>{regimeLabel[better]}</b>
+            {savings > 0 ? <> — saves <b>{formatRupees(savings)}</b> a year.</> : ' — both regimes cost the same.'}
+          </div>
+          {better === 'new' && (
+            <div className="text-xs text-slate-600 dark:text-slate-400 mt-1">
+              {extraDeductions == null
+                ? 'No amount of additional deductions would make the old regime cheaper.'
+                : <>The old regime wins with <b>{formatRupees(extraDeductions)}</b> more in old-regime deductions (80C, 80D, HRA, 24(b) …).</>}
+            </div>
+          )}
+          {better !== currentRegime && (
+            <Button size="sm" variant="outline" className="mt-2" onClick={() => onSelectRegime(better)}>
+              Switch to {regimeLabel[better]}
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RegimeComparison;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { History } from 'lucide-react';
+import { monthNames } from '@/lib/ptRules';
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const SalaryRevision = ({ revision, setRevision, arrears }) => {
+  const update = (key, value) => setRevision({ ...revision, [key]: value });
+  const amount = (value) => Math.max(0, Math.round(parseFloat(value) || 0));
+  const columns = arrears.components.filter((c) => arrears.totals.components[c.abbr] !== 0);
+
+  return (
+    <Card className="shadow-xl border-fuchsia-200 dark:border-fuchsia-800">
+      <CardHeader className="bg-gradient-to-r from-fuchsia-500 to-pink-600 text-white">
+        <CardTitle className="flex items-center gap-2">
+          <History className="h-6 w-6" />
+          <span>Salary Revision & Arrears</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+          <div>
+            <Label className="text-xs">Old Monthly Gross</Label>
+            <Input type="number" value={revision.oldGross} onChange={(e) => update('oldGross', amount(e.target.value))} className="mt-1" />
+          </div>
+          <div>
+            <Label className="text-xs">New Monthly Gross</Label>
+            <Input type="number" value={revision.newGross} onChange={(e) => update('newGross', amount(e.target.value))} className="mt-1" />
+          </div>
+          <div>
+            <Label className="text-xs">Effective From</Label>
+            <Input type="date" value={revision.effectiveDate} onChange={(e) => e.target.value && update('effectiveDate', e.target.value)} className="mt-1" />
+          </div>
+          <div>
+            <Label className="text-xs">Processing Month</Label>
+            <Input type="month" value={revision.processingMonth} onChange={(e) => e.target.value && update('processingMonth', e.target.value)} className="mt-1" />
+          </div>
+          <div className="flex items-center gap-2 pb-2">
+            <Switch checked={revision.include} onCheckedChange={(v) => update('include', v)} />
+            <Label className="text-xs">Include in this month's pay</Label>
+          </div>
+        </div>
+
+        {arrears.rows.length === 0 ? (
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            No arrears: the revision takes effect in or after the processing month.
+          </p>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs border-collapse">
+                <thead>
+                  <tr className="bg-gradient-to-r from-fuchsia-100 to-pink-100 dark:from-fuchsia-900/40 dark:to-pink-900/40">
+                    <th className="py-2 px-2 text-left font-semibold">Month</th>
+                    <th className="py-2 px-2 text-right font-semibold">Days</th>
+                    {columns.map((c) => <th key={c.abbr} className="py-2 px-2 text-right font-semibold">{c.name}</th>)}
+                    <th className="py-2 px-2 text-right font-semibold">Gross</th>
+                    <th className="py-2 px-2 text-right font-semibold">PF (EE)</th>
+                    <th className="py-2 px-2 text-right font-semibold">PF (ER)</th>
+                    <th className="py-2 px-2 text-right font-semibold">ESI (EE)</th>
+                    <th className="py-2 px-2 text-right font-semibold">ESI (ER)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {arrears.rows.map((row, idx) => (
+                    <tr key={`${row.year}-${row.month}`} className={`border-b ${idx % 2 === 0 ? 'bg-white dark:bg-slate-900' : 'bg-slate-50 dark:bg-slate-800/50'}`}>
+                      <td className="py-1 px-2 font-medium">{monthNames[row.month - 1]} {row.year}</td>
+                      <td className="py-1 px-2 text-right">{row.factor < 1 ? `${(row.factor * 100).toFixed(0)}%` : 'Full'}</td>
+                      {columns.map((c) => <td key={c.abbr} className="py-1 px-2 text-right">{formatRupees(row.components[c.abbr])}</td>)}
+                      <td className="py-1 px-2 text-right font-semibold">{formatRupees(row.gross)}</td>
+                      <td className="py-1 px-2 text-right">{formatRupees(row.pfEE)}</td>
+                      <td className="py-1 px-2 text-right">{formatRupees(row.pfER)}</td>
+                      <td className="py-1 px-2 text-right">{formatRupees(row.esiEE)}</td>
+                      <td className="py-1 px-2 text-right">{formatRupees(row.esiER)}</td>
+                    </tr>
+                  ))}
+                  <tr className="bg-gradient-to-r from-fuchsia-100 to-pink-100 dark:from-fuchsia-900/40 dark:to-pink-900/40 font-bold">
+                    <td className="py-2 px-2" colSpan={2}>Total Arrears</td>
+                    {columns.map((c) => <td key={c.abbr} className="py-2 px-2 text-right">{formatRupees(arrears.totals.components[c.abbr])}</td>)}
+                    <td className="py-2 px-2 text-right">{formatRupees(arrears.totals.gross)}</td>
+                    <td className="py-2 px-2 text-right">{formatRupees(arrears.totals.pfEE)}</td>
+                    <td className="py-2 px-2 text-right">{formatRupees(arrears.totals.pfER)}</td>
+                    <td className="py-2 px-2 text-right">{formatRupees(arrears.totals.esiEE)}</td>
+                    <td className="py-2 px-2 text-right">{formatRupees(arrears.totals.esiER)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-600 dark:text-slate-300">
+              Arrears raise this year's tax by <b>{formatRupees(arrears.tax.extra)}</b>, deducted in full as
+              TDS on Arrears with the arrears in the processing month.
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SalaryRevision;
@@ -0,0 +1,92 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Layers, ChevronDown, ChevronUp, Plus, X, RotateCcw } from 'lucide-react';
+import { defaultStructure, structureVariables, structureFunctions, basicAbbr, hraAbbr, compileStructure } from '@/lib/salaryStructure';
+
+const emptyComponent = { abbr: '', name: '', formula: '0', condition: '', proration: { mode: 'prorate', min: 0 }, rounding: 'nearest' };
+
+const SalaryStructureBuilder = ({ structure, onApply }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(structure);
+
+  // Pick up structure changes made elsewhere (proration tab, policy reset)
+  useEffect(() => setDraft(structure), [structure]);
+
+  const { errors } = useMemo(() => compileStructure(draft), [draft]);
+  const dirty = draft !== structure;
+
+  const updateComponent = (idx, key, value) => setDraft(draft.map((c, i) => (i === idx ? { ...c, [key]: value } : c)));
+  const removeComponent = (idx) => setDraft(draft.filter((_, i) => i !== idx));
+
+  return (
+    <div className="rounded-lg border border-orange-200 dark:border-orange-800 p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold">
+          <Layers className="h-4 w-4 text-orange-500" />
+          <span>Salary Structure ({structure.length} components)</span>
+        </div>
+        <Button onClick={() => setExpanded(!expanded)} size="sm" variant="outline">
+          {expanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+        </Button>
+      </div>
+
+      {expanded && (
+        <>
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            Formulas may use {structureVariables.map((v) => v.name).join(', ')}, any component's abbreviation and{' '}
+            {Object.keys(structureFunctions).map((f) => `${f}()`).join(', ')}. Conditions such as <code>gross &gt; 21000</code> switch
+            a component off when false. <b>{basicAbbr}</b> is Basic and <b>{hraAbbr}</b> is HRA for PF, gratuity and the HRA exemption.
+          </p>
+
+          <div className="space-y-2">
+            {draft.map((c, idx) => (
+              <div key={idx} className="grid grid-cols-12 gap-1 items-end">
+                <div className="col-span-3">
+                  {idx === 0 && <Label className="text-xs">Name</Label>}
+                  <Input value={c.name} onChange={(e) => updateComponent(idx, 'name', e.target.value)} className="h-8 text-xs" />
+                </div>
+                <div className="col-span-2">
+                  {idx === 0 && <Label className="text-xs">Abbr</Label>}
+                  <Input value={c.abbr} onChange={(e) => updateComponent(idx, 'abbr', e.target.value.trim())} className="h-8 text-xs font-mono" />
+                </div>
+                <div className="col-span-4">
+                  {idx === 0 && <Label className="text-xs">Formula</Label>}
+                  <Input value={c.formula} onChange={(e) => updateComponent(idx, 'formula', e.target.value)} className="h-8 text-xs font-mono" />
+                </div>
+                <div className="col-span-2">
+                  {idx === 0 && <Label className="text-xs">Condition</Label>}
+                  <Input value={c.condition} placeholder="always" onChange={(e) => updateComponent(idx, 'condition', e.target.value)} className="h-8 text-xs font-mono" />
+                </div>
+                <Button size="icon" variant="ghost" className="col-span-1 h-8" onClick={() => removeComponent(idx)}>
+                  <X className="h-4 w-4 text-red-500" />
+                </Button>
+              </div>
+            ))}
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-600 dark:text-red-400 list-disc ml-4 space-y-0.5">
+              {errors.map((err) => <li key={err}>{err}</li>)}
+            </ul>
+          )}
+
+          <div className="flex gap-2 flex-wrap">
+            <Button size="sm" variant="outline" className="gap-1 text-xs" onClick={() => setDraft([...draft, emptyComponent])}>
+              <Plus className="h-3 w-3" /> Component
+            </Button>
+            <Button size="sm" variant="outline" className="gap-1 text-xs" onClick={() => setDraft(defaultStructure)}>
+              <RotateCcw className="h-3 w-3" /> Default
+            </Button>
+            <Button size="sm" className="text-xs" disabled={!dirty || errors.length > 0} onClick={() => onApply(draft)}>
+              Apply Structure
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SalaryStructureBuilder;
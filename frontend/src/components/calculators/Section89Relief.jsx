@@ -0,0 +1,165 @@
+import React, { useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { FileText, FileDown, RotateCcw } from 'lucide-react';
+import { taxRulePacks } from '@/lib/taxRulePacks';
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const Section89Relief = ({ relief, years, setYears, employee }) => {
+  const annexureRef = useRef(null);
+  const { current, tableA } = relief;
+
+  const updateYear = (fy, key, value) => setYears({ ...years, [fy]: { ...years[fy], [key]: value } });
+  const amount = (value) => (value === '' ? undefined : Math.max(0, Math.round(parseFloat(value) || 0)));
+
+  const downloadForm10E = async () => {
+    const element = annexureRef.current;
+    if (!element) return;
+    try {
+      const mod = await import('html2pdf.js');
+      const html2pdf = mod?.default || mod;
+      const safeName = (employee || 'employee').replace(/\s+/g, '_');
+      await html2pdf().set({
+        margin: [8, 8, 8, 8],
+        filename: `Form10E_Annexure_I_${safeName}_${relief.receivedFy}.pdf`,
+        image: { type: 'jpeg', quality: 0.9 },
+        html2canvas: { scale: 1.5, useCORS: true },
+        jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' },
+      }).from(element).save();
+    } catch (err) {
+      console.error('[PDF] Failed to export Form 10E:', err);
+      alert('PDF export failed. Check console for details.');
+    }
+  };
+
+  const summary = [
+    ['1', `Total income (excluding arrears) of FY ${relief.receivedFy}`, current.income],
+    ['2', 'Salary received in arrears relating to earlier years', current.arrears],
+    ['3', 'Total income including arrears (1 + 2)', current.incomeWith],
+    ['4', 'Tax on total income at item 3', current.taxWith],
+    ['5', 'Tax on total income at item 1', current.taxWithout],
+    ['6', 'Tax on arrears (4 − 5)', current.taxOnArrears],
+    ['7', 'Tax computed in column 7 of Table A', relief.tableADifference],
+    ['8', 'Relief under section 89(1) (6 − 7, if positive)', relief.relief],
+  ];
+
+  return (
+    <Card className="shadow-xl border-violet-200 dark:border-violet-800">
+      <CardHeader className="bg-gradient-to-r from-violet-500 to-purple-600 text-white">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <FileText className="h-6 w-6" />
+            <span>Section 89 Relief — Form 10E</span>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="secondary" size="icon" onClick={() => setYears({})} title="Use estimated incomes">
+              <RotateCcw className="h-4 w-4" />
+            </Button>
+            <Button variant="secondary" size="sm" className="gap-1" onClick={downloadForm10E} disabled={tableA.length === 0}>
+              <FileDown className="h-4 w-4" /> Annexure I
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-4">
+        {tableA.length === 0 ? (
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            The arrears relate only to FY {relief.receivedFy}, the year they are paid in, so no Section 89 relief applies.
+          </p>
+        ) : (
+          <>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Earlier years' incomes are estimated at the old gross with the current declarations, and FY {relief.receivedFy}'s at
+              the new gross. Enter the figures from each year's Form 16 where they differ.
+            </p>
+
+            <div ref={annexureRef} className="space-y-4 bg-white dark:bg-slate-900 p-2">
+              <div className="text-sm font-semibold">
+                Form No. 10E — Annexure I{employee ? ` · ${employee}` : ''} · Arrears received in FY {relief.receivedFy}
+              </div>
+              <table className="w-full text-xs border-collapse">
+                <tbody>
+                  {summary.map(([no, label, value]) => (
+                    <tr key={no} className={`border-b ${no === '8' ? 'font-bold bg-violet-50 dark:bg-violet-900/20' : ''}`}>
+                      <td className="py-1 px-2 w-8">{no}</td>
+                      <td className="py-1 px-2">{label}</td>
+                      <td className="py-1 px-2 text-right">
+                        {no === '1' ? (
+                          <Input type="number" value={current.income}
+                            onChange={(e) => updateYear(relief.receivedFy, 'income', amount(e.target.value))}
+                            className="h-7 w-32 text-xs text-right ml-auto" />
+                        ) : formatRupees(value)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="text-xs font-semibold">Table A — tax on arrears in the years they relate to</div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs border-collapse">
+                  <thead>
+                    <tr className="bg-gradient-to-r from-violet-100 to-purple-100 dark:from-violet-900/40 dark:to-purple-900/40">
+                      <th className="py-2 px-2 text-left font-semibold">(1) Previous year</th>
+                      <th className="py-2 px-2 text-right font-semibold">(2) Total income</th>
+                      <th className="py-2 px-2 text-right font-semibold">(3) Arrears relating to it</th>
+                      <th className="py-2 px-2 text-right font-semibold">(4) Income with arrears</th>
+                      <th className="py-2 px-2 text-right font-semibold">(5) Tax on (2)</th>
+                      <th className="py-2 px-2 text-right font-semibold">(6) Tax on (4)</th>
+                      <th className="py-2 px-2 text-right font-semibold">(7) Difference</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tableA.map((row) => (
+                      <tr key={row.fy} className="border-b">
+                        <td className="py-1 px-2">
+                          <div className="font-medium">FY {row.fy}</div>
+                          <Select value={row.regime} onValueChange={(v) => updateYear(row.fy, 'regime', v)}>
+                            <SelectTrigger className="h-6 w-20 text-[10px] mt-1"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="new">New</SelectItem>
+                              <SelectItem value="old">Old</SelectItem>
+                            </SelectContent>
+                          </Select>
+                          {row.packFy !== row.fy && (
+                            <div className="text-[10px] text-amber-700 dark:text-amber-400">{taxRulePacks[row.packFy].label} rates</div>
+                          )}
+                        </td>
+                        <td className="py-1 px-2">
+                          <Input type="number" value={row.income} onChange={(e) => updateYear(row.fy, 'income', amount(e.target.value))}
+                            className="h-7 w-28 text-xs text-right ml-auto" />
+                        </td>
+                        <td className="py-1 px-2">
+                          <Input type="number" value={row.arrears} onChange={(e) => updateYear(row.fy, 'arrears', amount(e.target.value))}
+                            className="h-7 w-24 text-xs text-right ml-auto" />
+                        </td>
+                        <td className="py-1 px-2 text-right">{formatRupees(row.incomeWith)}</td>
+                        <td className="py-1 px-2 text-right">{formatRupees(row.taxWithout)}</td>
+                        <td className="py-1 px-2 text-right">{formatRupees(row.taxWith)}</td>
+                        <td className="py-1 px-2 text-right font-semibold">{formatRupees(row.difference)}</td>
+                      </tr>
+                    ))}
+                    <tr className="bg-gradient-to-r from-violet-100 to-purple-100 dark:from-violet-900/40 dark:to-purple-900/40 font-bold">
+                      <td className="py-2 px-2" colSpan={6}>Total</td>
+                      <td className="py-2 px-2 text-right">{formatRupees(relief.tableADifference)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <p className="text-sm">
+              Relief u/s 89(1): <b className="text-violet-700 dark:text-violet-300">{formatRupees(relief.relief)}</b>
+              {relief.relief === 0 && <span className="text-xs text-slate-500 dark:text-slate-400"> — the arrears cost no more tax now than in their own years</span>}
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default Section89Relief;
@@ -0,0 +1,57 @@
+// Monthly attendance: one day type per calendar day, summarised into the month days and
+// payment days that drive proration.
+// - Paid leave, sick leave, holidays and weekly-offs are paid; LOP is not; a half-day is
+//   half a day of LOP.
+// - The payment-days basis fixes the divisor: the month's calendar days, a fixed 30 or 26,
+//   or working days (calendar days less weekly-offs and holidays). Payment days are the
+//   divisor less unpaid days, never below zero.
+
+export const dayTypes = {
+  present: { label: "Present", short: "P", unpaid: 0, nonWorking: false },
+  paidLeave: { label: "Paid leave", short: "PL", unpaid: 0, nonWorking: false },
+  sickLeave: { label: "Sick leave", short: "SL", unpaid: 0, nonWorking: false },
+  lop: { label: "Loss of pay", short: "LOP", unpaid: 1, nonWorking: false },
+  halfDay: { label: "Half-day", short: "½", unpaid: 0.5, nonWorking: false },
+  holiday: { label: "Holiday", short: "H", unpaid: 0, nonWorking: true },
+  weeklyOff: { label: "Weekly-off", short: "WO", unpaid: 0, nonWorking: true },
+};
+
+export const paymentDayBases = {
+  calendar: "Calendar days",
+  fixed30: "Fixed 30 days",
+  fixed26: "Fixed 26 days",
+  working: "Working days",
+};
+
+export const weekdayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const daysInMonth = (year, month) => new Date(year, month, 0).getDate();
+
+// A month with weekly-offs on the given weekdays (0 = Sunday) and everyone present otherwise
+export function defaultAttendance(year, month, weeklyOffs = [0]) {
+  return Array.from({ length: daysInMonth(year, month) }, (_, i) =>
+    weeklyOffs.includes(new Date(year, month - 1, i + 1).getDay()) ? "weeklyOff" : "present"
+  );
+}
+
+export function summarizeAttendance(days, basis = "calendar") {
+  const counts = Object.fromEntries(Object.keys(dayTypes).map((type) => [type, 0]));
+  days.forEach((type) => { counts[type] += 1; });
+
+  const unpaidDays = days.reduce((sum, type) => sum + dayTypes[type].unpaid, 0);
+  const nonWorkingDays = days.filter((type) => dayTypes[type].nonWorking).length;
+  const monthDays =
+    basis === "fixed30" ? 30
+    : basis === "fixed26" ? 26
+    : basis === "working" ? days.length - nonWorkingDays
+    : days.length;
+
+  return {
+    basis,
+    counts,
+    calendarDays: days.length,
+    unpaidDays,
+    monthDays: Math.max(1, monthDays),
+    paymentDays: Math.min(Math.max(0, monthDays - unpaidDays), Math.max(1, monthDays)),
+  };
+}
@@ -0,0 +1,136 @@
+// Compliance checks run against every payroll result under a configurable rule set.
+// Each rule can be switched off and carries its own severity ("error", "warning", "info").
+// - wageRule: Code on Wages 2019 — wages (basic + DA, chosen by structure abbreviation)
+//   must be at least minShare (50%) of total remuneration; any shortfall is deemed wages
+//   for PF, gratuity and bonus.
+// - minimumWage: full-month wages must not fall below the state's minimum for the
+//   employee's skill category (or a user-entered monthly override).
+// - bonusThreshold: bonus wages crossed the Payment of Bonus Act eligibility limit since
+//   the start of the FY, so bonus is due only for part of the year.
+// - fixedTooHigh / negativeNet: the engine's own flags.
+
+export const severityLevels = ["error", "warning", "info"];
+
+export const skillCategories = {
+  unskilled: "Unskilled",
+  semiSkilled: "Semi-skilled",
+  skilled: "Skilled",
+  highlySkilled: "Highly skilled",
+};
+
+// Monthly minimum wages (basic + VDA) by state and skill. Indicative figures for the top
+// zone; states revise VDA twice a year, so enter the notified rate as an override when it differs.
+export const minimumWages = {
+  CENTRAL: { name: "Central sphere (Area A)", rates: { unskilled: 20358, semiSkilled: 22568, skilled: 24804, highlySkilled: 26910 } },
+  KA: { name: "Karnataka", rates: { unskilled: 14500, semiSkilled: 15200, skilled: 16000, highlySkilled: 16800 } },
+  MH: { name: "Maharashtra", rates: { unskilled: 13500, semiSkilled: 14200, skilled: 14900, highlySkilled: 15600 } },
+  WB: { name: "West Bengal", rates: { unskilled: 9800, semiSkilled: 10780, skilled: 11860, highlySkilled: 13040 } },
+  TN: { name: "Tamil Nadu", rates: { unskilled: 12000, semiSkilled: 12500, skilled: 13000, highlySkilled: 13500 } },
+  TS: { name: "Telangana", rates: { unskilled: 11500, semiSkilled: 12200, skilled: 13000, highlySkilled: 13800 } },
+  AP: { name: "Andhra Pradesh", rates: { unskilled: 12000, semiSkilled: 12700, skilled: 13500, highlySkilled: 14300 } },
+  GJ: { name: "Gujarat", rates: { unskilled: 12324, semiSkilled: 12584, skilled: 12870, highlySkilled: 13130 } },
+};
+
+export const defaultComplianceRules = {
+  wageRule: { enabled: true, severity: "error", minShare: 0.5, wageComponents: ["B", "DA"] },
+  // state "auto" follows the employee's PT state, falling back to the central sphere
+  minimumWage: { enabled: true, severity: "error", state: "auto", skill: "skilled", override: null },
+  bonusThreshold: { enabled: true, severity: "warning" },
+  fixedTooHigh: { enabled: true, severity: "warning" },
+  negativeNet: { enabled: true, severity: "error" },
+};
+
+// Monthly minimum wage under a minimumWage rule: the override, else the table rate for the
+// rule's state ("auto" follows the PT state, falling back to the central sphere) and skill.
+export function minimumWageFor({ state, skill, override }, ptState) {
+  const stateCode = state === "auto" ? (minimumWages[ptState] ? ptState : "CENTRAL") : state;
+  const schedule = minimumWages[stateCode] || minimumWages.CENTRAL;
+  return {
+    minimum: override ?? schedule.rates[skill],
+    where: override != null ? "the entered minimum" : `${schedule.name} ${skillCategories[skill].toLowerCase()} minimum`,
+  };
+}
+
+const formatRupees = (n) => `₹${Math.round(n || 0).toLocaleString("en-IN")}`;
+
+// Evaluates the enabled rules against a calculatePayroll result. Returns one check per
+// enabled rule ({ id, title, severity, ok, message }) and the failing ones as violations.
+export function evaluateCompliance(result, rules = defaultComplianceRules, { ptState } = {}) {
+  const checks = [];
+  const components = result.monthly.components || [];
+  const totalRemuneration = result.monthly.earningsFullTotal;
+
+  if (rules.wageRule?.enabled) {
+    const { minShare, wageComponents, severity } = rules.wageRule;
+    const wages = components.filter((c) => wageComponents.includes(c.abbr)).reduce((sum, c) => sum + c.full, 0);
+    const required = Math.ceil(totalRemuneration * minShare);
+    const share = totalRemuneration > 0 ? wages / totalRemuneration : 1;
+    checks.push({
+      id: "wageRule",
+      title: `Labour Code ${Math.round(minShare * 100)}% wage rule`,
+      severity,
+      ok: wages >= required,
+      message: wages >= required
+        ? `Wages (${wageComponents.join(" + ")}) are ${(share * 100).toFixed(1)}% of remuneration.`
+        : `Wages (${wageComponents.join(" + ")}) are ${formatRupees(wages)} — ${(share * 100).toFixed(1)}% of ${formatRupees(totalRemuneration)}. ` +
+          `${formatRupees(required - wages)} of allowances is deemed wages for PF, gratuity and bonus.`,
+    });
+  }
+
+  if (rules.minimumWage?.enabled) {
+    const { severity } = rules.minimumWage;
+    const { minimum, where } = minimumWageFor(rules.minimumWage, ptState);
+    const wageComponents = rules.wageRule?.wageComponents || ["B", "DA"];
+    const wages = components.filter((c) => wageComponents.includes(c.abbr)).reduce((sum, c) => sum + c.full, 0);
+    checks.push({
+      id: "minimumWage",
+      title: "Minimum wages",
+      severity,
+      ok: wages >= minimum,
+      message: wages >= minimum
+        ? `Wages ${formatRupees(wages)} meet ${where} of ${formatRupees(minimum)}.`
+        : `Wages ${formatRupees(wages)} are ${formatRupees(minimum - wages)} below ${where} of ${formatRupees(minimum)}.`,
+    });
+  }
+
+  if (rules.bonusThreshold?.enabled && result.bonus?.applies) {
+    const { startWage, wage, limit, thresholdCrossed } = result.bonus;
+    checks.push({
+      id: "bonusThreshold",
+      title: "Bonus eligibility through the year",
+      severity: rules.bonusThreshold.severity,
+      ok: !thresholdCrossed,
+      message: !thresholdCrossed
+        ? `Bonus wages ${formatRupees(wage)} are ${wage <= limit ? "within" : "above"} the ${formatRupees(limit)} limit, as at the start of the FY.`
+        : wage > limit
+          ? `Bonus wages rose from ${formatRupees(startWage)} at the start of the FY to ${formatRupees(wage)}, above the ${formatRupees(limit)} limit: bonus is due for the months they stayed within it.`
+          : `Bonus wages fell from ${formatRupees(startWage)} at the start of the FY to ${formatRupees(wage)}, within the ${formatRupees(limit)} limit: bonus accrues from the month they dropped.`,
+    });
+  }
+
+  if (rules.fixedTooHigh?.enabled) {
+    checks.push({
+      id: "fixedTooHigh",
+      title: "Fixed allowances within gross",
+      severity: rules.fixedTooHigh.severity,
+      ok: !result.flags.fixedTooHigh,
+      message: result.flags.fixedTooHigh
+        ? "Fixed allowances exceed the room left after Basic & HRA; the balancing Special Allowance is clamped to ₹0."
+        : "The structure fits within the gross.",
+    });
+  }
+
+  if (rules.negativeNet?.enabled) {
+    checks.push({
+      id: "negativeNet",
+      title: "Positive net pay",
+      severity: rules.negativeNet.severity,
+      ok: !result.flags.negativeNet,
+      message: result.flags.negativeNet
+        ? `Deductions exceed earnings this month; net pay is ${formatRupees(result.monthly.netPay)}.`
+        : "Net pay is positive.",
+    });
+  }
+
+  return { checks, violations: checks.filter((c) => !c.ok) };
+}
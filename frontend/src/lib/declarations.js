@@ -0,0 +1,67 @@
+// Employee tax declarations (Chapter VI-A and Section 24(b)) with statutory caps.
+// The old regime allows every section below; the new regime only allows the employer's
+// NPS contribution under 80CCD(2). Employee PF and VPF count towards 80C automatically.
+
+export const emptyDeclarations = {
+  sec80C: { ppf: 0, elss: 0, lifeInsurance: 0, tuitionFees: 0, homeLoanPrincipal: 0, nsc: 0, others: 0 },
+  sec80D: { selfFamily: 0, selfSenior: false, parents: 0, parentsSenior: false },
+  sec80CCD1B: 0,
+  sec24b: 0,
+  sec80E: 0,
+  sec80G: 0,
+  employerNps: 0,
+};
+
+export const declarationCaps = {
+  sec80C: 150000,
+  sec80DSelf: 25000,
+  sec80DSelfSenior: 50000,
+  sec80DParents: 25000,
+  sec80DParentsSenior: 50000,
+  sec80CCD1B: 50000,
+  sec24b: 200000,
+};
+
+export const sec80CItems = [
+  { key: "ppf", label: "PPF" },
+  { key: "elss", label: "ELSS" },
+  { key: "lifeInsurance", label: "Life Insurance" },
+  { key: "tuitionFees", label: "Tuition Fees" },
+  { key: "homeLoanPrincipal", label: "Home Loan Principal" },
+  { key: "nsc", label: "NSC / Tax-saver FD" },
+  { key: "others", label: "Others" },
+];
+
+// Applies each section's cap and the regime's allow-list. Returns one line per section
+// (claimed, cap, allowed; cap is null when uncapped) and the total deduction.
+export function computeDeclaredDeductions(declarations, { regime, basicAnnual, employeePfAnnual = 0, employerNpsCapRate = 0 }) {
+  const d = { ...emptyDeclarations, ...declarations };
+  const c = declarationCaps;
+  const oldRegime = regime !== "new";
+  const line = (section, label, claimed, cap, allowedInRegime) => ({
+    section,
+    label,
+    claimed: Math.round(claimed),
+    cap,
+    allowed: allowedInRegime ? Math.round(cap == null ? claimed : Math.min(claimed, cap)) : 0,
+  });
+
+  const sec80CClaimed = Object.values(d.sec80C).reduce((a, b) => a + (b || 0), 0) + employeePfAnnual;
+  const selfCap = d.sec80D.selfSenior ? c.sec80DSelfSenior : c.sec80DSelf;
+  const parentsCap = d.sec80D.parentsSenior ? c.sec80DParentsSenior : c.sec80DParents;
+  const sec80DAllowed = Math.min(d.sec80D.selfFamily || 0, selfCap) + Math.min(d.sec80D.parents || 0, parentsCap);
+
+  const lines = [
+    line("80C", "80C (incl. employee PF)", sec80CClaimed, c.sec80C, oldRegime),
+    {
+      ...line("80D", "80D Health Insurance", (d.sec80D.selfFamily || 0) + (d.sec80D.parents || 0), selfCap + parentsCap, oldRegime),
+      allowed: oldRegime ? Math.round(sec80DAllowed) : 0,
+    },
+    line("80CCD(1B)", "80CCD(1B) NPS (own)", d.sec80CCD1B || 0, c.sec80CCD1B, oldRegime),
+    line("24(b)", "24(b) Home Loan Interest", d.sec24b || 0, c.sec24b, oldRegime),
+    line("80E", "80E Education Loan Interest", d.sec80E || 0, null, oldRegime),
+    line("80G", "80G Donations (qualifying)", d.sec80G || 0, null, oldRegime),
+    line("80CCD(2)", "80CCD(2) Employer NPS", d.employerNps || 0, Math.round(basicAnnual * employerNpsCapRate), true),
+  ];
+  return { lines, total: lines.reduce((sum, l) => sum + l.allowed, 0) };
+}
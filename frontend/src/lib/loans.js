@@ -0,0 +1,128 @@
+// Employee loans and salary advances recovered through payroll.
+// - Amortisation: repayment starts after the moratorium, whose interest is added to the
+//   balance; the balance is then repaid in `tenureMonths` equal instalments on the reducing
+//   balance, EMIs rounded to the rupee with the last one settling what is left.
+//   Interest-free loans and advances repay principal ÷ tenure.
+// - Perquisite (Rule 3(7)(i)): an interest-free or concessional loan is taxed on interest
+//   at SBI's 1 April rate for that kind of loan on the balance at each month end, less the
+//   interest actually charged. Nothing is taxable while the loans outstanding total
+//   ₹20,000 or less, or on loans for treating the diseases listed in Rule 3A.
+
+import { paise, applyRate, roundPaise } from "./money";
+import { fyMonths } from "./ptRules";
+
+export const loanPurposes = {
+  advance: "Salary advance",
+  personal: "Personal",
+  housing: "Housing",
+  vehicle: "Vehicle",
+  education: "Education",
+  medical: "Medical (Rule 3A)",
+};
+
+// SBI lending rates by purpose as on 1 April — indicative; enter the rates SBI published
+export const defaultSbiRates = {
+  advance: 0.1115,
+  personal: 0.1115,
+  housing: 0.0850,
+  vehicle: 0.0915,
+  education: 0.1015,
+  medical: 0,
+};
+
+const perquisiteFree = ["medical"];
+
+export const emptyLoan = {
+  name: "",
+  purpose: "personal",
+  principal: 100000,
+  annualRate: 0,
+  tenureMonths: 12,
+  startMonth: "",
+  moratoriumMonths: 0,
+};
+
+const monthIndex = (year, month) => year * 12 + (month - 1);
+
+// Balances and interest run in paise; EMIs are whole rupees
+export function amortizeLoan({ principal, annualRate = 0, tenureMonths, startMonth, moratoriumMonths = 0 }) {
+  const [startYear, startMon] = startMonth.split("-").map(Number);
+  const r = annualRate / 12;
+  const n = Math.max(1, Math.round(tenureMonths));
+  const rows = [];
+  let balance = paise(principal);
+  let emi = null;
+
+  for (let i = 0; balance > 0 && i < moratoriumMonths + n; i++) {
+    const idx = monthIndex(startYear, startMon) + i;
+    const opening = balance;
+    const interest = applyRate(opening, r);
+    const moratorium = i < moratoriumMonths;
+    if (!moratorium && emi === null) {
+      emi = roundPaise(r > 0 ? (opening * r) / (1 - Math.pow(1 + r, -n)) : opening / n);
+    }
+    const last = i === moratoriumMonths + n - 1;
+    const instalment = moratorium ? 0 : last ? roundPaise(opening + interest, "up") : Math.min(emi, opening + interest);
+    balance = Math.max(0, opening + interest - instalment);
+    rows.push({
+      year: Math.floor(idx / 12),
+      month: (idx % 12) + 1,
+      opening: opening / 100,
+      interest: interest / 100,
+      emi: instalment / 100,
+      principal: (instalment - interest) / 100,
+      closing: balance / 100,
+      moratorium,
+    });
+  }
+  return rows;
+}
+
+// One month of a loan's schedule, or null before it starts and after it is repaid
+export const loanRow = (rows, year, month) => rows.find((row) => row.year === year && row.month === month) || null;
+
+// Taxable value of the concessional-loan perquisite in one month across all loans
+function perquisiteForMonth(schedules, sbiRates, exemptLimit, year, month) {
+  const outstanding = schedules
+    .map(({ loan, rows }) => ({ loan, row: loanRow(rows, year, month) }))
+    .filter(({ row }) => row && row.opening > 0);
+  const aggregate = outstanding.reduce((sum, { loan }) => sum + loan.principal, 0);
+  if (aggregate <= exemptLimit) return 0;
+  return outstanding
+    .filter(({ loan }) => !perquisiteFree.includes(loan.purpose))
+    .reduce((sum, { loan, row }) => sum + (row.closing * Math.max(0, (sbiRates[loan.purpose] || 0) - (loan.annualRate || 0))) / 12, 0);
+}
+
+// This month's EMIs, the year's EMIs and the perquisite for the month and the FY
+// containing it, for every loan of an employee
+export function loanRecoveries({ loans = [], sbiRates = defaultSbiRates, exemptLimit = 20000, year, month }) {
+  const schedules = loans
+    .filter((loan) => loan.principal > 0 && loan.startMonth)
+    .map((loan) => ({ loan, rows: amortizeLoan(loan) }));
+  const fyStart = month >= 4 ? year : year - 1;
+  const fyCalendar = fyMonths.map((m) => ({ year: m >= 4 ? fyStart : fyStart + 1, month: m }));
+
+  const emis = schedules
+    .map(({ loan, rows }) => ({
+      name: loan.name || loanPurposes[loan.purpose],
+      amount: loanRow(rows, year, month)?.emi || 0,
+      forYear: fyCalendar.reduce((sum, c) => sum + (loanRow(rows, c.year, c.month)?.emi || 0), 0),
+    }))
+    .filter((item) => item.amount > 0);
+  const emiForYear = schedules.reduce(
+    (sum, { rows }) => sum + fyCalendar.reduce((s, c) => s + (loanRow(rows, c.year, c.month)?.emi || 0), 0),
+    0
+  );
+  return {
+    schedules,
+    emis,
+    emiTotal: emis.reduce((sum, item) => sum + item.amount, 0),
+    emiForYear,
+    // Balance still owed once this month's EMIs are recovered
+    outstanding: schedules.reduce((sum, { rows }) => sum + (loanRow(rows, year, month)?.closing || 0), 0),
+    perquisite: {
+      month: Math.round(perquisiteForMonth(schedules, sbiRates, exemptLimit, year, month)),
+      year: Math.round(fyCalendar.reduce((sum, c) => sum + perquisiteForMonth(schedules, sbiRates, exemptLimit, c.year, c.month), 0)),
+    },
+  };
+}
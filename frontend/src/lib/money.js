@@ -0,0 +1,30 @@
+// Money as integer paise. Amounts are converted to paise before they are multiplied by
+// rates or proration factors, so intermediate figures are exact to the paisa, and are
+// brought back to whole rupees exactly once under an explicit rounding mode.
+
+export const roundingModes = {
+  nearest: "Nearest ₹1",
+  up: "Up to ₹1",
+  down: "Down to ₹1",
+  nearest10: "Nearest ₹10",
+};
+
+// Rupees → integer paise
+export const paise = (rupees) => Math.round((rupees || 0) * 100);
+
+// amount × rate (or factor), to the nearest paisa
+export const applyRate = (amountPaise, rate) => Math.round(amountPaise * rate);
+
+// Paise rounded to a whole rupee (or ₹10) boundary under a rounding mode
+export function roundPaise(amountPaise, mode = "nearest") {
+  const unit = mode === "nearest10" ? 1000 : 100;
+  const units = amountPaise / unit;
+  const rounded = mode === "up" ? Math.ceil(units) : mode === "down" ? Math.floor(units) : Math.round(units);
+  return rounded * unit;
+}
+
+// Paise → whole rupees under a rounding mode
+export const toRupees = (amountPaise, mode = "nearest") => roundPaise(amountPaise, mode) / 100;
+
+// rupees × rate, computed in paise and rounded once
+export const rupeesAtRate = (rupees, rate, mode = "nearest") => toRupees(applyRate(paise(rupees), rate), mode);
@@ -0,0 +1,46 @@
+import { paise, applyRate, roundPaise, toRupees, rupeesAtRate } from "./money";
+
+describe("paise", () => {
+  test("converts rupees to whole paise without float drift", () => {
+    expect(paise(0.1 + 0.2)).toBe(30);
+    expect(paise(1234.565)).toBe(123457);
+    expect(paise(null)).toBe(0);
+  });
+
+  test("applies a rate to the nearest paisa", () => {
+    expect(applyRate(2100000, 0.0075)).toBe(15750);
+    expect(applyRate(333, 1 / 3)).toBe(111);
+  });
+});
+
+describe("rounding modes", () => {
+  test.each([
+    ["nearest", 12349, 12300],
+    ["nearest", 12350, 12400],
+    ["up", 12301, 12400],
+    ["down", 12399, 12300],
+    ["nearest10", 12345, 12000],
+    ["nearest10", 12500, 13000],
+  ])("%s rounds %d paise to %d", (mode, amount, expected) => {
+    expect(roundPaise(amount, mode)).toBe(expected);
+  });
+
+  test("toRupees returns whole rupees", () => {
+    expect(toRupees(12350)).toBe(124);
+    expect(toRupees(12350, "down")).toBe(123);
+  });
+});
+
+describe("rupeesAtRate", () => {
+  test("rounds once, after the rate is applied in paise", () => {
+    expect(rupeesAtRate(15000, 0.12)).toBe(1800);
+    expect(rupeesAtRate(21000, 0.0075)).toBe(158);
+    expect(rupeesAtRate(12345, 0.0075)).toBe(93);
+    expect(rupeesAtRate(12345, 0.0075, "down")).toBe(92);
+  });
+
+  test("rounds a prorated amount under the given mode", () => {
+    expect(rupeesAtRate(20000, 17 / 31)).toBe(10968);
+    expect(rupeesAtRate(20000, 17 / 31, "down")).toBe(10967);
+  });
+});
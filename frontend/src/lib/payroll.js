@@ -0,0 +1,1140 @@
+// The payroll engine: pure functions from an employee's salary inputs and the policy to
+// the month's pay, the FY schedule, revision arrears with Section 89 relief and the
+// full-and-final settlement. The calculator component holds the inputs and renders what
+// these return; nothing here touches React or the DOM.
+
+import { paise, applyRate, toRupees, rupeesAtRate } from "./money";
+import { taxRulePacks, applyTaxRulePack, latestFY } from "./taxRulePacks";
+import { emptyDeclarations, computeDeclaredDeductions } from "./declarations";
+import { fyMonths, computeProfessionalTax, computeAnnualProfessionalTax, professionalTaxByMonth } from "./ptRules";
+import { defaultStructure, basicAbbr, hraAbbr, compileStructure, evaluateStructure } from "./salaryStructure";
+import { defaultSbiRates, loanRecoveries } from "./loans";
+
+const rupees = (n) => (Number.isFinite(n) ? `₹${Math.round(n).toLocaleString("en-IN")}` : "₹0");
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+// Default policy
+export const defaultPolicy = {
+  basicPctOfGross: 0.40,
+  hraPctOfBasic: 0.50,
+  pf: {
+    apply: true,
+    employeeRate: 0.12,
+    vpfRate: 0.00,
+    restrictBaseToCeiling: true,
+    wageCeiling: 15000,
+    baseIncludes: ["B"], // structure abbreviations in the PF wage, plus custom earnings flagged as PF wage
+    employerEpfRate: 0.0367,
+    employerEpsRate: 0.0833,
+    edliRate: 0.005,
+    adminRate: 0.005,
+  },
+  esi: {
+    apply: false,
+    monthlyThreshold: 21000,
+    employeeRate: 0.0075,
+    employerRate: 0.0325,
+  },
+  gratuity: {
+    apply: true,
+    rateOfBasic: 0.0481,
+  },
+  pt: {
+    apply: true,
+    monthlyAmount: 200,
+  },
+  // Payment of Bonus Act: employees whose bonus wages (structure abbreviations, basic + DA)
+  // are within the eligibility limit get rate × those wages, capped at the higher of the
+  // calculation ceiling and the minimum wage; paid as a monthly advance or once a year
+  bonus: {
+    apply: false,
+    rate: 0.0833,
+    eligibilityLimit: 21000,
+    calculationCeiling: 7000,
+    wageComponents: ["B", "DA"],
+    mode: "annual", // "monthly" | "annual"
+    payoutMonth: 10,
+  },
+  // Overtime under the Factories Act: multiplier × the ordinary rate, i.e. the basis
+  // components (structure abbreviations) ÷ divisor hours (26 days × 8), plus flat per-shift allowances
+  overtime: {
+    apply: false,
+    basisComponents: ["B", "DA"],
+    divisor: 208,
+    multiplier: 2,
+    shiftAllowances: [{ name: "Night Shift", perShift: 200 }],
+  },
+  // Loans and advances: perquisite on concessional loans at SBI's 1 April rate per purpose,
+  // unless the loans outstanding total no more than the exempt limit (src/lib/loans.js)
+  loans: {
+    perquisiteExemptLimit: 20000,
+    sbiRates: defaultSbiRates,
+  },
+  // Attendance-driven payment days: the month's attendance grid, summarised under the
+  // basis (calendar, fixed30, fixed26, working), replaces the hand-entered days
+  attendance: {
+    apply: false,
+    basis: "calendar",
+    weeklyOffs: [0],
+  },
+  // Earning components with formulas, conditions, proration and rounding rules (see src/lib/salaryStructure.js)
+  structure: defaultStructure,
+  // Net pay rounding; the difference is paid as a rounding adjustment (modes in src/lib/money.js)
+  rounding: { netPay: "nearest" },
+  // Slabs, standard deduction, 87A rebate and cess come from the FY rule pack
+  // oneOffTds: TDS on one-time and periodic earnings — "lump" in the payout month or
+  // "spread" over the FY months left from it
+  tds: applyTaxRulePack({ apply: true, regime: "new", oneOffTds: "spread" }, latestFY),
+};
+
+export const fixedProration = { mode: "fixed", min: 0 };
+
+// How often a custom earning is paid. Anything but monthly is paid in full, only in its
+// payout month(s): the payout month and every `every` months after it within the year.
+export const earningFrequencies = {
+  monthly: { label: "Monthly", every: 1 },
+  quarterly: { label: "Quarterly", every: 3 },
+  halfYearly: { label: "Half-yearly", every: 6 },
+  annual: { label: "Annual", every: 12 },
+  oneTime: { label: "One-time", every: 12 },
+};
+
+// Settings for custom earnings and deductions that predate them: earnings are monthly, paid
+// in full, fully taxable and ESI wages but not PF wages; deductions come out of post-tax pay.
+export const customEarningDefaults = {
+  proration: fixedProration, rounding: "nearest", taxability: "taxable", exemptLimit: 0, pfWage: false, esiWage: true,
+  frequency: "monthly", payoutMonth: 3,
+};
+export const customDeductionDefaults = { preTax: false };
+
+// Financial year label ("2024-25") of a calendar month, as the rule packs are keyed
+export const fyOfMonth = (year, month) => {
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+function computeSlabTax(annualTaxable, slabs) {
+  let tax = 0;
+  let last = 0;
+  for (const { upto, rate } of slabs) {
+    const span = Math.min(annualTaxable, upto) - last;
+    if (span > 0) tax += span * rate;
+    last = upto;
+    if (annualTaxable <= upto) break;
+  }
+  return tax;
+}
+
+// Annual income tax on taxable income, split into the lines shown on the payslip:
+// slab tax − 87A rebate + surcharge − marginal relief + cess. 87A marginal relief keeps
+// tax above the rebate limit from exceeding the income above it; surcharge marginal
+// relief keeps tax + surcharge from rising by more than the income above each band start.
+export function computeIncomeTax(taxable, { slabs, rebate87AThreshold = 0, rebate87AMarginalRelief = false, surcharge = [], cessRate = 0 }) {
+  const slabTax = computeSlabTax(taxable, slabs);
+
+  let rebate = 0, marginalRelief = 0;
+  if (taxable <= rebate87AThreshold) rebate = slabTax;
+  else if (rebate87AMarginalRelief) marginalRelief = Math.max(0, slabTax - (taxable - rebate87AThreshold));
+  const taxAfterRebate = slabTax - rebate - marginalRelief;
+
+  let surchargeAmt = 0;
+  const bandIdx = surcharge.reduce((idx, band, i) => (taxable > band.above ? i : idx), -1);
+  if (bandIdx >= 0) {
+    const band = surcharge[bandIdx];
+    const prevRate = bandIdx > 0 ? surcharge[bandIdx - 1].rate : 0;
+    surchargeAmt = taxAfterRebate * band.rate;
+    const capAtBand = computeSlabTax(band.above, slabs) * (1 + prevRate) + (taxable - band.above);
+    marginalRelief += Math.max(0, taxAfterRebate + surchargeAmt - capAtBand);
+  }
+
+  const taxBeforeCess = slabTax - rebate + surchargeAmt - marginalRelief;
+  const cess = taxBeforeCess * cessRate;
+  return {
+    taxable,
+    slabTax: Math.round(slabTax),
+    rebate: Math.round(rebate),
+    surcharge: Math.round(surchargeAmt),
+    marginalRelief: Math.round(marginalRelief),
+    cess: Math.round(cess),
+    total: Math.round(taxBeforeCess + cess),
+  };
+}
+
+// The slab/rebate/surcharge/cess rules of policy.tds for one regime, as computeIncomeTax takes them.
+export function taxRulesFor(tds, regime) {
+  return {
+    slabs: regime === "new" ? tds.slabsNew : tds.slabsOld,
+    rebate87AThreshold: (regime === "new" ? tds.rebate87AThreshold : tds.rebate87AThresholdOld) || 0,
+    rebate87AMarginalRelief: regime === "new" && !!tds.rebate87AMarginalRelief,
+    surcharge: (regime === "new" ? tds.surchargeNew : tds.surchargeOld) || [],
+    cessRate: tds.cessRate || 0,
+  };
+}
+
+// Section 10(13A) HRA exemption (old regime): the least of actual HRA received,
+// rent paid in excess of 10% of basic, and 50% (metro) / 40% (non-metro) of basic.
+function computeHraExemption({ hraAnnual, basicAnnual, rentPaidAnnual, metro }) {
+  const rentLessTenPct = Math.max(0, rentPaidAnnual - 0.10 * basicAnnual);
+  const pctOfBasic = (metro ? 0.50 : 0.40) * basicAnnual;
+  const exempt = rentPaidAnnual > 0 ? Math.round(Math.min(hraAnnual, rentLessTenPct, pctOfBasic)) : 0;
+  return {
+    actualHra: Math.round(hraAnnual),
+    rentLessTenPct: Math.round(rentLessTenPct),
+    pctOfBasic: Math.round(pctOfBasic),
+    metro,
+    exempt,
+  };
+}
+
+// Payable amount of a full-month component for a payment factor. "prorate" scales the whole
+// amount, "fixed" pays it in full, and "prorateAboveMin" pays up to `min` in full and
+// scales only the part above it. The "full" parts still scale by `tenure`, the share of a
+// joining or leaving month employed. Scaled in paise, then rounded under the component's mode.
+function prorateAmount(full, factor, rule = { mode: "prorate" }, rounding = "nearest", tenure = 1) {
+  if (rule.mode === "fixed") return tenure < 1 ? rupeesAtRate(full, tenure, rounding) : full;
+  if (rule.mode === "prorateAboveMin") {
+    const min = clamp(rule.min || 0, 0, full);
+    return toRupees(applyRate(paise(min), tenure) + applyRate(paise(full - min), factor), rounding);
+  }
+  return rupeesAtRate(full, factor, rounding);
+}
+
+// Taxable part of a custom earning's monthly amount: all of it, the excess over its monthly
+// exemption limit, or none.
+function taxablePart(item, amount) {
+  if (item.taxability === "exempt") return 0;
+  if (item.taxability === "partial") return Math.max(0, amount - (item.exemptLimit || 0));
+  return amount;
+}
+
+// Calendar months a non-monthly custom earning is paid in
+function payoutMonths(item) {
+  const { every } = earningFrequencies[item.frequency] || earningFrequencies.oneTime;
+  return Array.from({ length: 12 / every }, (_, i) => ((item.payoutMonth - 1 + i * every) % 12) + 1);
+}
+
+// Structures are compiled once and reused across the many payroll runs of the solver and
+// schedule. The builder only applies structures that compile cleanly.
+const compiledStructures = new WeakMap();
+function compiledStructure(structure) {
+  if (!compiledStructures.has(structure)) {
+    const compiled = compileStructure(structure);
+    if (compiled.errors.length) throw new Error(`Invalid salary structure: ${compiled.errors[0]}`);
+    compiledStructures.set(structure, compiled);
+  }
+  return compiledStructures.get(structure);
+}
+
+// ESI contribution periods run Apr–Sep and Oct–Mar. Coverage is decided by wages at the
+// start of the period and holds until its end, even if a hike takes wages over the threshold.
+function esiContributionPeriod(month) {
+  return month >= 4 && month <= 9
+    ? { label: "Apr–Sep", startMonth: 4, endMonth: 9 }
+    : { label: "Oct–Mar", startMonth: 10, endMonth: 3 };
+}
+
+// Employer-side contributions on a month's wages. EPS and EDLI are always capped at the
+// PF wage ceiling; whatever the employer's 12% share exceeds EPS goes to EPF. The
+// employer's NPS contribution is passed in as the month's amount.
+function computeEmployerContributions({ pfWage, esiWage, basic, esiEligible, employerNps = 0, policy: p }) {
+  const cappedWage = Math.min(pfWage, p.pf.wageCeiling);
+  const epsER = p.pf.apply ? rupeesAtRate(cappedWage, p.pf.employerEpsRate || 0) : 0;
+  const epfER = p.pf.apply ? rupeesAtRate(pfWage, (p.pf.employerEpfRate || 0) + (p.pf.employerEpsRate || 0)) - epsER : 0;
+  const edli = p.pf.apply ? rupeesAtRate(cappedWage, p.pf.edliRate || 0) : 0;
+  const pfAdmin = p.pf.apply ? rupeesAtRate(pfWage, p.pf.adminRate || 0) : 0;
+  const esiER = esiEligible ? rupeesAtRate(esiWage, p.esi.employerRate || 0) : 0;
+  const gratuity = p.gratuity?.apply ? rupeesAtRate(basic, p.gratuity.rateOfBasic || 0) : 0;
+  return { epfER, epsER, edli, pfAdmin, esiER, gratuity, npsER: employerNps };
+}
+
+// Days of a calendar month ("actual" days, so 28/29 for February and 31 where due) inside
+// the employment from date of joining to date of leaving ("YYYY-MM-DD", either may be
+// empty), and whether it is the employee's first or last payroll month
+function employmentInMonth({ year, month, doj, dol }) {
+  if (doj && dol && dol < doj) throw new Error(`Date of leaving ${dol} is before date of joining ${doj}`);
+  const daysInMonth = new Date(year, month, 0).getDate();
+  const [joinYear, joinMonth, joinDay] = doj ? doj.split("-").map(Number) : [];
+  const [leaveYear, leaveMonth, leaveDay] = dol ? dol.split("-").map(Number) : [];
+  const index = (y, m) => y * 12 + m;
+  const firstMonth = !!doj && index(joinYear, joinMonth) === index(year, month);
+  const lastMonth = !!dol && index(leaveYear, leaveMonth) === index(year, month);
+  const employed = (!doj || index(joinYear, joinMonth) <= index(year, month)) && (!dol || index(leaveYear, leaveMonth) >= index(year, month));
+  const fromDay = firstMonth ? joinDay : 1;
+  const toDay = lastMonth ? leaveDay : daysInMonth;
+  return {
+    doj,
+    dol,
+    daysInMonth,
+    employedDays: employed ? Math.max(0, toDay - fromDay + 1) : 0,
+    employed,
+    firstMonth,
+    lastMonth,
+    // Paid on calendar days employed rather than the usual month days
+    prorated: firstMonth || lastMonth || !employed,
+  };
+}
+
+export function calculatePayroll({
+  monthlyGross,
+  fixedAllowances,
+  policy,
+  monthDays,
+  paymentDays,
+  declarations = emptyDeclarations,
+  rentPaidMonthly = 0,
+  metroCity = false,
+  ptState = "FLAT",
+  payrollMonth = 4,
+  payrollYear = null,
+  doj = null,
+  dol = null,
+  esiPeriodStartGross = null,
+  customEarnings = [],
+  customDeductions = [],
+  arrears = null,
+  minimumWage = 0,
+  bonusYearStartGross = null,
+  attendance = null,
+  overtime = null,
+  loans = [],
+  ptPaidSoFar = null,
+}) {
+  const p = policy;
+  // An attendance summary (src/lib/attendance.js), when given, supplies the month and payment days
+  const recorded = attendance ?? { monthDays, paymentDays };
+  // Joining and leaving months (and months outside the employment) pay the calendar days
+  // employed, less the unpaid days recorded for the month
+  const employment = payrollYear && (doj || dol) ? employmentInMonth({ year: payrollYear, month: payrollMonth, doj, dol }) : null;
+  const days = employment?.prorated
+    ? { monthDays: employment.daysInMonth, paymentDays: Math.max(0, employment.employedDays - (recorded.monthDays - recorded.paymentDays)) }
+    : recorded;
+  const factor = clamp(days.paymentDays / Math.max(1, days.monthDays), 0, 1);
+  const tenure = employment?.prorated ? employment.employedDays / employment.daysInMonth : 1;
+  // Nothing is deducted in a month outside the employment
+  const outside = employment?.employed === false;
+  // The FY's months inside the employment: salary is projected for those alone (part
+  // months by the days employed) and TDS spread over them
+  const fyStartYear = payrollMonth >= 4 ? payrollYear : payrollYear - 1;
+  const fyEmployment = employment && fyMonths.map((month) => employmentInMonth({ year: month >= 4 ? fyStartYear : fyStartYear + 1, month, doj, dol }));
+  const employedMonthsFrom = (idx) => (fyEmployment ? fyEmployment.slice(idx).filter((e) => e.employed).length : 12 - idx);
+  const employedShare = fyEmployment ? fyEmployment.reduce((sum, e) => sum + e.employedDays / e.daysInMonth, 0) : 12;
+
+  const structureAt = (gross) => evaluateStructure(compiledStructure(p.structure), {
+    gross,
+    base: gross,
+    basicPct: p.basicPctOfGross,
+    hraPct: p.hraPctOfBasic,
+    conveyance: fixedAllowances.conveyance || 0,
+    medical: fixedAllowances.medical || 0,
+    lunch: fixedAllowances.lunch || 0,
+  });
+  const components = structureAt(monthlyGross).map((c) => ({ ...c, full: c.amount, payable: prorateAmount(c.amount, factor, c.proration, c.rounding, tenure) }));
+  const earningsFull = Object.fromEntries(components.map((c) => [c.abbr, c.full]));
+  const earnings = Object.fromEntries(components.map((c) => [c.abbr, c.payable]));
+  const structureFull = components.reduce((sum, c) => sum + c.full, 0);
+  const structurePayable = components.reduce((sum, c) => sum + c.payable, 0);
+  // The components pay out more than the gross, e.g. fixed allowances leave no room for Special
+  const fixedTooHigh = structureFull > Math.round(monthlyGross);
+
+  const basicFull = earningsFull[basicAbbr] || 0;
+  const hraFull = earningsFull[hraAbbr] || 0;
+  const basic = earnings[basicAbbr] || 0;
+
+  // Statutory bonus joins the custom earnings as a taxable, non-PF/ESI earning: prorated
+  // monthly advance, or twelve months' bonus in the payout month. Eligibility is judged on
+  // the current bonus wages; a change across the limit since the FY start is flagged.
+  const bonusPolicy = p.bonus || {};
+  const bonusWageOf = (amounts) => (bonusPolicy.wageComponents || []).reduce((sum, abbr) => sum + (amounts[abbr] || 0), 0);
+  const bonusWage = bonusWageOf(earningsFull);
+  const bonusStartWage = bonusYearStartGross == null
+    ? bonusWage
+    : bonusWageOf(Object.fromEntries(structureAt(bonusYearStartGross).map((c) => [c.abbr, c.amount])));
+  const bonusEligible = !!bonusPolicy.apply && bonusWage <= bonusPolicy.eligibilityLimit;
+  const bonusCalculationWage = Math.min(bonusWage, Math.max(bonusPolicy.calculationCeiling || 0, minimumWage));
+  const bonusMonthly = bonusEligible ? rupeesAtRate(bonusCalculationWage, bonusPolicy.rate) : 0;
+  const bonusEarning = bonusEligible && {
+    name: "Statutory Bonus",
+    statutory: true,
+    amount: bonusPolicy.mode === "monthly" ? bonusMonthly : bonusMonthly * 12,
+    frequency: bonusPolicy.mode === "monthly" ? "monthly" : "annual",
+    payoutMonth: bonusPolicy.payoutMonth,
+    proration: { mode: "prorate", min: 0 },
+    esiWage: false,
+  };
+
+  // Overtime for the hours recorded this month at `multiplier` × the ordinary hourly rate
+  // (the basis components' full-month wages ÷ divisor hours), plus a flat allowance per
+  // shift worked. Both are paid with this month only, like one-time pay: ESI wages but not
+  // PF wages, and taxed as one-off payouts.
+  const overtimePolicy = p.overtime || {};
+  const ordinaryWage = (overtimePolicy.basisComponents || []).reduce((sum, abbr) => sum + (earningsFull[abbr] || 0), 0);
+  const overtimeDivisor = Math.max(1, overtimePolicy.divisor || 208);
+  const overtimeHours = overtimePolicy.apply ? Math.max(0, overtime?.hours || 0) : 0;
+  const overtimePay = rupeesAtRate(ordinaryWage, (overtimeHours * (overtimePolicy.multiplier || 1)) / overtimeDivisor);
+  const shiftsWorked = (overtimePolicy.apply ? overtimePolicy.shiftAllowances || [] : []).map((shift) => {
+    const count = Math.max(0, overtime?.shifts?.[shift.name] || 0);
+    return { ...shift, count, amount: Math.round(count * (shift.perShift || 0)) };
+  });
+  const overtimeEarnings = [
+    { name: "Overtime", amount: overtimePay, detail: `${overtimeHours} hrs × ${overtimePolicy.multiplier || 1}` },
+    ...shiftsWorked.map((shift) => ({ name: `${shift.name} Allowance`, amount: shift.amount, detail: `${shift.count} × ${rupees(shift.perShift)}` })),
+  ].filter((item) => item.amount > 0).map((item) => ({
+    ...item,
+    variable: true,
+    frequency: "oneTime",
+    payoutMonth: payrollMonth,
+    pfWage: false,
+    esiWage: true,
+  }));
+
+  // Add custom earnings to gross payable, each under its own proration rule; their flags
+  // decide which of them count as PF and ESI wages and how much of each is taxable.
+  // One-time and periodic earnings are paid in full in their payout months only, stay out
+  // of the full-month wage bases and are taxed per payout rather than ×12.
+  const customEarningsPaid = [...customEarnings, ...(bonusEarning ? [bonusEarning] : []), ...overtimeEarnings].map((item) => {
+    const ce = { ...customEarningDefaults, ...item };
+    const amount = ce.amount || 0;
+    if (ce.frequency === "monthly") {
+      const payable = prorateAmount(amount, factor, ce.proration, ce.rounding, tenure);
+      return {
+        ...ce, recurring: true, full: amount, recurringFull: amount, payable, annual: amount * 12,
+        taxableRecurring: taxablePart(ce, amount), taxablePayable: taxablePart(ce, payable), taxablePeriodic: 0,
+      };
+    }
+    const months = payoutMonths(ce);
+    const paid = months.includes(payrollMonth) && employment?.employed !== false ? amount : 0;
+    return {
+      ...ce, recurring: false, payoutMonths: months, full: paid, recurringFull: 0, payable: paid, annual: amount * months.length,
+      taxableRecurring: 0, taxablePayable: 0, taxablePeriodic: taxablePart(ce, paid),
+    };
+  });
+  const sumCustom = (key, filter = () => true) =>
+    customEarningsPaid.filter(filter).reduce((sum, item) => sum + (item[key] || 0), 0);
+  const customEarningsTotal = sumCustom("full");
+  const customEarningsPayable = sumCustom("payable");
+  const regularGrossPayable = structurePayable + customEarningsPayable;
+  // Revision arrears (computeArrears) paid with this month as a separate earnings block,
+  // with their own PF, ESI and TDS; PT and the annual projection use regular salary only
+  const arrearsPaid = arrears && !outside && {
+    components: arrears.components.filter((c) => arrears.totals.components[c.abbr]).map((c) => ({ ...c, amount: arrears.totals.components[c.abbr] })),
+    gross: arrears.totals.gross,
+    pfEE: arrears.totals.pfEE,
+    esiEE: arrears.totals.esiEE,
+    tds: arrears.tax.extra,
+    employer: arrears.totals.pfER + arrears.totals.esiER,
+  };
+  const monthlyGrossPayable = regularGrossPayable + (arrearsPaid?.gross || 0);
+
+  // Loans and advances (src/lib/loans.js): the month's EMIs are recovered after tax with the
+  // custom deductions, and the concessional-loan perquisite joins taxable income in both regimes
+  const loanRecovery = loans.length && payrollYear
+    ? loanRecoveries({ loans, sbiRates: p.loans?.sbiRates, exemptLimit: p.loans?.perquisiteExemptLimit, year: payrollYear, month: payrollMonth })
+    : null;
+  const loanEmis = loanRecovery && !outside ? loanRecovery.emis.map((emi) => ({ name: `${emi.name} EMI`, amount: emi.amount, annual: emi.forYear, loan: true })) : [];
+  const loanEmiTotal = loanEmis.reduce((sum, emi) => sum + emi.amount, 0);
+  const loanPerquisite = loanRecovery?.perquisite || { month: 0, year: 0 };
+
+  // Pre-tax deductions (salary sacrifice) come out of taxable salary as well as net pay
+  const customDeductionsPaid = [...(outside ? [] : customDeductions), ...loanEmis].map((item) => ({ ...customDeductionDefaults, ...item }));
+  const customDeductionsTotal = customDeductionsPaid.reduce((sum, item) => sum + (item.amount || 0), 0);
+  const preTaxDeductionsTotal = customDeductionsPaid.filter((item) => item.preTax).reduce((sum, item) => sum + (item.amount || 0), 0);
+
+  const pfComponents = components.filter((c) => (p.pf.baseIncludes || [basicAbbr]).includes(c.abbr));
+  const pfBaseFull = pfComponents.reduce((sum, c) => sum + c.full, 0) + sumCustom("recurringFull", (item) => item.pfWage);
+  const pfWage = pfComponents.reduce((sum, c) => sum + c.payable, 0) + sumCustom("payable", (item) => item.pfWage);
+  const pfBase = p.pf.restrictBaseToCeiling ? Math.min(pfWage, p.pf.wageCeiling) : pfWage;
+  const pfEE = p.pf.apply ? rupeesAtRate(pfBase, p.pf.employeeRate) : 0;
+  const vpfEE = p.pf.apply && p.pf.vpfRate > 0 ? rupeesAtRate(pfBase, p.pf.vpfRate) : 0;
+  const pfBaseFullMonth = p.pf.restrictBaseToCeiling ? Math.min(pfBaseFull, p.pf.wageCeiling) : pfBaseFull;
+  const pfEEFullMonth = p.pf.apply ? rupeesAtRate(pfBaseFullMonth, p.pf.employeeRate) : 0;
+  const vpfEEFullMonth = p.pf.apply && p.pf.vpfRate > 0 ? rupeesAtRate(pfBaseFullMonth, p.pf.vpfRate) : 0;
+
+  const esiPeriod = esiContributionPeriod(payrollMonth);
+  const esiWageFull = structureFull + sumCustom("recurringFull", (item) => item.esiWage);
+  const esiWage = structurePayable + sumCustom("payable", (item) => item.esiWage);
+  const esiStartGross = esiPeriodStartGross ?? esiWageFull;
+  const esiEligible = p.esi.apply && esiStartGross <= p.esi.monthlyThreshold;
+  const esiCoveredAtCurrentWage = p.esi.apply && esiWageFull <= p.esi.monthlyThreshold;
+  // Annual projection: this period follows its start wage, the other period the current wage
+  const esiMonthsInYear = (esiEligible ? 6 : 0) + (esiCoveredAtCurrentWage ? 6 : 0);
+  const esiEE = esiEligible ? rupeesAtRate(esiWage, p.esi.employeeRate) : 0;
+
+  // PT already deducted in the FY: as given (the schedule passes its running total), or else
+  // at this salary in the earlier months of the employment
+  const ptFlatAmount = p.pt.monthlyAmount || 0;
+  const ptPaid = ptPaidSoFar ?? professionalTaxByMonth({
+    state: ptState,
+    monthlyGross,
+    flatAmount: ptFlatAmount,
+    employed: (month) => !fyEmployment || fyEmployment[fyMonths.indexOf(month)].employed,
+  }).slice(0, fyMonths.indexOf(payrollMonth)).reduce((a, b) => a + b, 0);
+  const pt = p.pt.apply && !outside
+    ? computeProfessionalTax({ state: ptState, monthlyGross: regularGrossPayable, month: payrollMonth, flatAmount: ptFlatAmount, paidSoFar: ptPaid })
+    : 0;
+
+  // Employer NPS, declared as a yearly amount and paid with the month's salary, is part of
+  // CTC and of taxable salary; the capped 80CCD(2) deduction takes it back out of income
+  const employerNpsFull = rupeesAtRate(declarations.employerNps || 0, 1 / 12);
+  const employerNps = rupeesAtRate(employerNpsFull, factor);
+
+  const employer = computeEmployerContributions({ pfWage: pfBase, esiWage, basic, esiEligible, employerNps, policy: p });
+  const employerTotal = Object.values(employer).reduce((a,b)=>a+b,0);
+
+  const hraExemption = computeHraExemption({
+    hraAnnual: hraFull * 12,
+    basicAnnual: basicFull * 12,
+    rentPaidAnnual: (rentPaidMonthly || 0) * 12,
+    metro: metroCity,
+  });
+
+  const declared = computeDeclaredDeductions(declarations, {
+    regime: p.tds.regime,
+    basicAnnual: basicFull * 12,
+    employeePfAnnual: (pfEEFullMonth + vpfEEFullMonth) * 12,
+    employerNpsCapRate: (p.tds.regime === "new" ? p.tds.employerNpsCapRate : p.tds.employerNpsCapRateOld) || 0,
+  });
+
+  // Everything subtracted from gross income before slabs apply
+  const regime = p.tds.regime;
+  const stdDed = (regime === "new" ? p.tds.standardDeduction : p.tds.standardDeductionOld) || 0;
+  const incomeDeductions = stdDed + (regime === "new" ? 0 : hraExemption.exempt) + declared.total;
+
+  // Tax on recurring salary is deducted evenly over the FY months employed. Each one-time
+  // or periodic payout, in FY order, adds the extra tax it causes — deducted in its payout
+  // month (lump) or spread over the FY months employed from it.
+  let tds = 0, annualTax = 0, taxBreakdown = null, oneOffTax = 0, oneOffTds = 0;
+  if (p.tds.apply) {
+    const rules = taxRulesFor(p.tds, regime);
+    const taxOn = (gross) => computeIncomeTax(Math.max(0, gross - incomeDeductions), rules);
+    const recurringGross = (monthlyGross + sumCustom("taxableRecurring") - preTaxDeductionsTotal + employerNpsFull) * employedShare + loanPerquisite.year;
+    const payouts = customEarningsPaid
+      .filter((item) => !item.recurring)
+      .flatMap((item) => item.payoutMonths.map((month) => ({ idx: fyMonths.indexOf(month), taxable: taxablePart(item, item.amount) })))
+      .filter((payout) => !fyEmployment || fyEmployment[payout.idx].employed)
+      .sort((a, b) => a.idx - b.idx);
+
+    const baseTax = taxOn(recurringGross).total;
+    const monthIdx = fyMonths.indexOf(payrollMonth);
+    let income = recurringGross, taxSoFar = baseTax, oneOffTdsExact = 0;
+    for (const payout of payouts) {
+      income += payout.taxable;
+      const extra = taxOn(income).total - taxSoFar;
+      taxSoFar += extra;
+      if (p.tds.oneOffTds === "lump") {
+        if (payout.idx === monthIdx) oneOffTdsExact += extra;
+      } else if (payout.idx <= monthIdx) {
+        oneOffTdsExact += extra / employedMonthsFrom(payout.idx);
+      }
+    }
+
+    taxBreakdown = taxOn(income);
+    annualTax = taxBreakdown.total;
+    oneOffTax = annualTax - baseTax;
+    oneOffTds = outside ? 0 : toRupees(paise(oneOffTdsExact));
+    tds = outside ? 0 : rupeesAtRate(baseTax, 1 / employedMonthsFrom(0)) + oneOffTds;
+  }
+
+  const arrearsDeductions = arrearsPaid ? arrearsPaid.pfEE + arrearsPaid.esiEE + arrearsPaid.tds : 0;
+  const totalDeductions = pfEE + vpfEE + esiEE + pt + tds + customDeductionsTotal + arrearsDeductions;
+  const netRounding = p.rounding?.netPay || "nearest";
+  const netPayExact = monthlyGrossPayable - totalDeductions;
+  const netPay = toRupees(paise(netPayExact), netRounding);
+  const roundingAdjustment = netPay - netPayExact;
+
+  // One full month at the current wage — the basis the annual figures project ×12
+  const fullMonthGross = structureFull + customEarningsTotal;
+  const fullMonth = {
+    pfEE: pfEEFullMonth,
+    vpfEE: vpfEEFullMonth,
+    esiEE: esiEligible ? rupeesAtRate(esiWageFull, p.esi.employeeRate) : 0,
+    pt: p.pt.apply
+      ? computeProfessionalTax({ state: ptState, monthlyGross: fullMonthGross, month: payrollMonth, flatAmount: ptFlatAmount, paidSoFar: ptPaid })
+      : 0,
+    tds,
+  };
+  const fullMonthNetExact = fullMonthGross - Object.values(fullMonth).reduce((a, b) => a + b, 0) - customDeductionsTotal;
+  const fullMonthRounding = toRupees(paise(fullMonthNetExact), netRounding) - fullMonthNetExact;
+
+  const annual = {
+    earnings: Object.fromEntries(components.map((c) => [c.abbr, c.full * 12])),
+    gross: monthlyGross * 12,
+    deductions: {
+      pfEE: pfEEFullMonth * 12,
+      vpfEE: vpfEEFullMonth * 12,
+      esiEE: rupeesAtRate(esiWageFull, p.esi.employeeRate) * esiMonthsInYear,
+      pt: p.pt.apply ? computeAnnualProfessionalTax({ state: ptState, monthlyGross, flatAmount: ptFlatAmount }) : 0,
+      // The year's tax liability; monthly TDS × 12 differs by the rounding remainder
+      tds: annualTax,
+    },
+  };
+  // EMIs are recovered only in the FY months the loans are being repaid
+  const annualCustomDeductions = (customDeductionsTotal - loanEmiTotal) * 12 + (loanRecovery?.emiForYear || 0);
+  const annualTotalDeductions = Object.values(annual.deductions).reduce((a,b)=>a+b,0) + annualCustomDeductions;
+  const annualGrossEarnings = structureFull * 12 + sumCustom("annual");
+  const annualRoundingAdjustment = fullMonthRounding * 12;
+  const annualNet = annualGrossEarnings - annualTotalDeductions + annualRoundingAdjustment;
+
+  // Full month × 12 against the annual figure, line by line. Differences come from ESI
+  // coverage by contribution period, PT instalments and cap, and TDS rounding.
+  const reconciliationLines = [
+    { key: "gross", monthlyX12: fullMonthGross * 12, annual: annualGrossEarnings },
+    ...Object.entries(fullMonth).map(([key, amount]) => ({ key, monthlyX12: amount * 12, annual: annual.deductions[key] })),
+    { key: "customDeductions", monthlyX12: customDeductionsTotal * 12, annual: annualCustomDeductions },
+    { key: "roundingAdjustment", monthlyX12: fullMonthRounding * 12, annual: annualRoundingAdjustment },
+    { key: "netPay", monthlyX12: (fullMonthNetExact + fullMonthRounding) * 12, annual: annualNet },
+  ].map((line) => ({ ...line, difference: line.annual - line.monthlyX12 }));
+
+  const employerMonthFull = computeEmployerContributions({
+    pfWage: pfBaseFullMonth,
+    esiWage: esiWageFull,
+    basic: basicFull,
+    esiEligible: p.esi.apply,
+    employerNps: employerNpsFull,
+    policy: p,
+  });
+  const annualEmployer = Object.fromEntries(Object.entries(employerMonthFull).map(([k, v]) => [k, v * (k === "esiER" ? esiMonthsInYear : 12)]));
+  const annualEmployerTotal = Object.values(annualEmployer).reduce((a,b)=>a+b,0);
+
+  return {
+    flags: { negativeNet: netPay < 0, esiEligible, fixedTooHigh },
+    bonus: {
+      applies: !!bonusPolicy.apply,
+      eligible: bonusEligible,
+      limit: bonusPolicy.eligibilityLimit,
+      wage: bonusWage,
+      startWage: bonusStartWage,
+      calculationWage: bonusCalculationWage,
+      minimumWage,
+      monthly: bonusMonthly,
+      payable: customEarningsPaid.find((item) => item.statutory)?.payable || 0,
+      annual: bonusMonthly * 12,
+      thresholdCrossed: !!bonusPolicy.apply && (bonusStartWage <= bonusPolicy.eligibilityLimit) !== bonusEligible,
+    },
+    loans: {
+      schedules: loanRecovery?.schedules || [],
+      emiTotal: loanEmiTotal,
+      emiForYear: loanRecovery?.emiForYear || 0,
+      outstanding: loanRecovery?.outstanding || 0,
+      perquisite: loanPerquisite,
+    },
+    overtime: {
+      applies: !!overtimePolicy.apply,
+      ordinaryWage,
+      hourlyRate: ordinaryWage / overtimeDivisor,
+      hours: overtimeHours,
+      pay: overtimePay,
+      shifts: shiftsWorked,
+      total: overtimeEarnings.reduce((sum, item) => sum + item.amount, 0),
+    },
+    factor,
+    monthDays: days.monthDays,
+    paymentDays: days.paymentDays,
+    attendance,
+    employment,
+    pf: {
+      wage: pfWage,
+      wageAfterCeiling: pfBase,
+      wageFullMonth: pfBaseFull,
+      wageFullMonthAfterCeiling: pfBaseFullMonth,
+    },
+    esi: {
+      period: esiPeriod,
+      startGross: esiStartGross,
+      coveredAtStart: esiEligible,
+      // Covered at period start but the current wage is above the threshold
+      continuesUntil: esiEligible && !esiCoveredAtCurrentWage ? esiPeriod.endMonth : null,
+    },
+    monthly: {
+      components,
+      earnings,
+      earningsFull,
+      // Recurring remuneration; one-time and periodic payouts are left out
+      earningsFullTotal: structureFull + sumCustom("recurringFull", (item) => !item.statutory),
+      grossPayable: monthlyGrossPayable,
+      // This month's salary income for TDS, after exemptions and pre-tax deductions
+      taxableGross: structurePayable + sumCustom("taxablePayable") - preTaxDeductionsTotal + loanPerquisite.month + employerNps,
+      // One-time and periodic payouts this month, taxable part
+      oneOffTaxable: sumCustom("taxablePeriodic"),
+      deductions: { pfEE, vpfEE, esiEE, pt, tds },
+      oneOffTds,
+      totalDeductions,
+      netPay,
+      roundingAdjustment,
+      customEarnings: customEarningsPaid,
+      customDeductions: customDeductionsPaid,
+      customEarningsTotal,
+      customEarningsPayable,
+      customDeductionsTotal,
+      preTaxDeductionsTotal,
+      arrears: arrearsPaid,
+      employer,
+      employerTotal,
+      ctc: monthlyGrossPayable + employerTotal + (arrearsPaid?.employer || 0),
+    },
+    annual: {
+      earnings: annual.earnings,
+      gross: annual.gross,
+      deductions: annual.deductions,
+      totalDeductions: annualTotalDeductions,
+      roundingAdjustment: annualRoundingAdjustment,
+      netPay: annualNet,
+      taxProjected: annualTax,
+      // Part of the year's tax caused by one-time and periodic earnings
+      oneOffTax,
+      taxBreakdown,
+      hraExemption,
+      declaredDeductions: declared,
+      esiMonths: esiMonthsInYear,
+      incomeDeductions,
+      grossEarnings: annualGrossEarnings,
+      employer: annualEmployer,
+      employerTotal: annualEmployerTotal,
+      ctc: annualGrossEarnings + annualEmployerTotal,
+    },
+    reconciliation: reconciliationLines,
+  };
+}
+
+// Reverse solver: find the smallest whole-rupee monthly gross for which metric.pick(result)
+// reaches target (monthly net pay by default, annual CTC for the CTC input mode).
+// Neither is monotonic in gross (the 87A rebate cliff makes net drop, the ESI threshold
+// makes net jump and CTC drop), so we scan in coarse steps, look inside any step where the
+// value fell for the peak just before the cliff, and bisect the first window that reaches
+// the target. A match is exact when it lands within metric.tolerance of the target (one
+// rupee of gross moves annual CTC by more than a rupee); otherwise the value skipped over
+// the target at a threshold and we report the gross on either side of the jump.
+export const netPayMetric = { pick: (r) => r.monthly.netPay, tolerance: 0, perMonth: 1 };
+export const annualCtcMetric = { pick: (r) => r.annual.ctc, tolerance: 24, perMonth: 12 };
+
+export function solveGross({ target: targetValue, metric = netPayMetric, ...args }) {
+  const valueAt = (gross) => metric.pick(calculatePayroll({ ...args, monthlyGross: gross }));
+  const target = Math.round(targetValue);
+  const none = { gross: null, value: null, exact: false, below: null, above: null };
+
+  // Smallest x in (lo, hi] with value >= target, given value(lo) < target <= value(hi).
+  const bisect = (lo, hi) => {
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (valueAt(mid) >= target) hi = mid; else lo = mid;
+    }
+    const value = valueAt(hi);
+    const exact = value - target <= metric.tolerance;
+    return {
+      gross: hi,
+      value,
+      exact,
+      below: exact ? null : { gross: lo, value: valueAt(lo) },
+      above: exact ? null : { gross: hi, value },
+    };
+  };
+
+  const value0 = valueAt(0);
+  if (value0 >= target) return { gross: 0, value: value0, exact: value0 - target <= metric.tolerance, below: null, above: null };
+
+  let limit = Math.max(1000, target / metric.perMonth);
+  for (let i = 0; i < 20 && valueAt(limit) < target; i++) limit *= 2;
+  if (valueAt(limit) < target) return none;
+
+  const step = Math.max(100, Math.ceil(limit / 1000));
+  let prev = 0, prevValue = value0;
+  for (let g = step; g <= limit + step; g += step) {
+    const value = valueAt(g);
+    if (value >= target) return bisect(prev, g);
+    if (value < prevValue) {
+      // A cliff lies inside (prev, g]: the value stays >= prevValue up to the peak, then falls below it.
+      let lo = prev, hi = g;
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (valueAt(mid) >= prevValue) lo = mid; else hi = mid;
+      }
+      if (valueAt(lo) >= target) return bisect(prev, lo);
+    }
+    prev = g; prevValue = value;
+  }
+  return none;
+}
+
+// Runs the payroll under both regimes for the same inputs and declarations. When the new
+// regime is cheaper, extraDeductions is the smallest additional old-regime deduction that
+// would make the old regime cost strictly less (null if even zero taxable income would not).
+export function compareRegimes(args) {
+  const run = (regime) => calculatePayroll({ ...args, policy: { ...args.policy, tds: { ...args.policy.tds, apply: true, regime } } });
+  const summarize = (r) => ({
+    taxable: r.annual.taxBreakdown.taxable,
+    annualTax: r.annual.taxProjected,
+    monthlyTds: r.monthly.deductions.tds,
+    monthlyNet: r.monthly.netPay,
+    annualNet: r.annual.netPay,
+  });
+  const newRegime = summarize(run("new"));
+  const oldRegime = summarize(run("old"));
+  const better = oldRegime.annualTax < newRegime.annualTax ? "old" : "new";
+
+  let extraDeductions = 0;
+  if (better === "new") {
+    const rules = taxRulesFor(args.policy.tds, "old");
+    const oldTaxWith = (extra) => computeIncomeTax(Math.max(0, oldRegime.taxable - extra), rules).total;
+    if (oldTaxWith(oldRegime.taxable) >= newRegime.annualTax) {
+      extraDeductions = null;
+    } else {
+      let lo = 0, hi = oldRegime.taxable;
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (oldTaxWith(mid) < newRegime.annualTax) hi = mid; else lo = mid;
+      }
+      extraDeductions = hi;
+    }
+  }
+
+  return {
+    new: newRegime,
+    old: oldRegime,
+    better,
+    savings: Math.abs(newRegime.annualTax - oldRegime.annualTax),
+    extraDeductions,
+  };
+}
+
+// Month-by-month FY schedule (Apr–Mar). Each entry of `months` may override the month's
+// payment days and add arrears, a bonus and a change in declared deductions (annual ₹,
+// old regime, effective from that month on). TDS is equalised on year-to-date figures:
+// projected annual tax = tax on (actual taxable income so far + this month + regular
+// salary for the months left), and each month deducts (that tax − TDS already deducted)
+// spread over the months remaining, so one-off payments raise TDS from the month paid.
+// With a date of joining or leaving, the months left are projected and counted only
+// inside the employment, and months outside it deduct nothing.
+// Under policy.tds.oneOffTds "lump", the extra tax from the month's bonus and one-time or
+// periodic earnings is deducted in full that month instead.
+export function computePayrollSchedule({ months = [], ...args }) {
+  const { policy: p } = args;
+  const regular = calculatePayroll({ ...args, paymentDays: args.monthDays, doj: null, dol: null });
+  const fyStartYear = args.payrollYear && (args.payrollMonth >= 4 ? args.payrollYear : args.payrollYear - 1);
+  const yearOf = (month) => fyStartYear && (month >= 4 ? fyStartYear : fyStartYear + 1);
+  // A full month's regular salary in each FY month, nil outside the employment
+  const regularMonths = fyMonths.map((month) => calculatePayroll({ ...args, paymentDays: args.monthDays, payrollMonth: month, payrollYear: yearOf(month) }));
+  const employedIn = (r) => r.employment?.employed !== false;
+  const rules = taxRulesFor(p.tds, p.tds.regime);
+
+  let taxableYtd = 0, tdsYtd = 0, ptYtd = 0, declaredDelta = 0;
+  const rows = fyMonths.map((month, idx) => {
+    const ov = months[idx] || {};
+    const paymentDays = ov.paymentDays ?? args.monthDays;
+    const arrears = ov.arrears || 0;
+    const bonus = ov.bonus || 0;
+    if (p.tds.regime !== "new") declaredDelta += ov.declarationsDelta || 0;
+
+    const r = calculatePayroll({ ...args, paymentDays, payrollMonth: month, payrollYear: yearOf(month), ptPaidSoFar: ptYtd });
+    const oneOff = r.monthly.oneOffTaxable + bonus;
+    const taxableThisMonth = r.monthly.taxableGross + arrears + oneOff;
+    const monthsLeft = regularMonths.slice(idx + 1);
+    const remaining = 1 + monthsLeft.filter(employedIn).length;
+
+    let tds = 0, projectedTax = 0;
+    if (p.tds.apply && employedIn(r)) {
+      const taxOn = (income) => computeIncomeTax(Math.max(0, income - regular.annual.incomeDeductions - declaredDelta), rules).total;
+      const projectedIncome = taxableYtd + taxableThisMonth + monthsLeft.reduce((sum, m) => sum + m.monthly.taxableGross, 0);
+      projectedTax = taxOn(projectedIncome);
+      if (p.tds.oneOffTds === "lump") {
+        const taxWithoutOneOff = taxOn(projectedIncome - oneOff);
+        tds = Math.max(0, Math.round((taxWithoutOneOff - tdsYtd) / remaining) + projectedTax - taxWithoutOneOff);
+      } else {
+        tds = Math.max(0, Math.round((projectedTax - tdsYtd) / remaining));
+      }
+    }
+    taxableYtd += taxableThisMonth;
+    tdsYtd += tds;
+
+    const { pfEE, vpfEE, esiEE, pt } = r.monthly.deductions;
+    ptYtd += pt;
+    const gross = r.monthly.grossPayable + arrears + bonus;
+    const totalDeductions = pfEE + vpfEE + esiEE + pt + r.monthly.customDeductionsTotal + tds;
+    const net = toRupees(paise(gross - totalDeductions), p.rounding?.netPay);
+    return {
+      month,
+      paymentDays,
+      employment: r.employment,
+      arrears,
+      bonus,
+      declarationsDelta: ov.declarationsDelta || 0,
+      gross,
+      statutory: pfEE + vpfEE + esiEE + pt,
+      otherDeductions: r.monthly.customDeductionsTotal,
+      tds,
+      totalDeductions,
+      roundingAdjustment: net - (gross - totalDeductions),
+      net,
+      projectedTax,
+    };
+  });
+
+  const sum = (key) => rows.reduce((a, row) => a + row[key], 0);
+  return {
+    rows,
+    totals: {
+      arrears: sum("arrears"),
+      bonus: sum("bonus"),
+      gross: sum("gross"),
+      statutory: sum("statutory"),
+      otherDeductions: sum("otherDeductions"),
+      tds: sum("tds"),
+      totalDeductions: sum("totalDeductions"),
+      roundingAdjustment: sum("roundingAdjustment"),
+      net: sum("net"),
+    },
+  };
+}
+
+// Arrears of a retrospective revision from oldGross to newGross. Every month from the
+// effective date ("YYYY-MM-DD") up to the month before the processing month ("YYYY-MM")
+// is run as a full month at both wages; the arrears are the differences per component and
+// in employee/employer PF and ESI. The first month counts only the days from the
+// effective date, and ESI coverage stays with the old wage for each contribution period.
+// TDS on the arrears is the extra tax they add to the processing FY, spread over the FY
+// months left from the processing month.
+export function computeArrears({ oldGross, newGross, effectiveDate, processingMonth, ...args }) {
+  const { policy: p } = args;
+  const [fromYear, fromMonth, fromDay] = effectiveDate.split("-").map(Number);
+  const [payYear, payMonth] = processingMonth.split("-").map(Number);
+  const run = (monthlyGross, year, month, esiPeriodStartGross = null) =>
+    calculatePayroll({ ...args, monthlyGross, paymentDays: args.monthDays, payrollMonth: month, payrollYear: year, esiPeriodStartGross, arrears: null });
+
+  const rows = [];
+  let year = fromYear, month = fromMonth;
+  while (year < payYear || (year === payYear && month < payMonth)) {
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const factor = year === fromYear && month === fromMonth ? (daysInMonth - fromDay + 1) / daysInMonth : 1;
+    const before = run(oldGross, year, month);
+    const after = run(newGross, year, month, before.esi.startGross);
+    const diff = (a, b) => rupeesAtRate(b - a, factor);
+    const components = Object.fromEntries(after.monthly.components.map((c) => [c.abbr, diff(before.monthly.earnings[c.abbr] || 0, c.payable)]));
+    const pfOf = (r) => r.monthly.deductions.pfEE + r.monthly.deductions.vpfEE;
+    const pfEROf = (r) => r.monthly.employer.epfER + r.monthly.employer.epsER;
+    rows.push({
+      year,
+      month,
+      factor,
+      components,
+      gross: Object.values(components).reduce((a, b) => a + b, 0),
+      pfEE: diff(pfOf(before), pfOf(after)),
+      pfER: diff(pfEROf(before), pfEROf(after)),
+      esiEE: diff(before.monthly.deductions.esiEE, after.monthly.deductions.esiEE),
+      esiER: diff(before.monthly.employer.esiER, after.monthly.employer.esiER),
+    });
+    if (month === 12) { year++; month = 1; } else month++;
+  }
+
+  // Arrears are taxed in the year they are paid, under that year's pack whatever FY the policy is set to
+  const payPolicy = { ...p, tds: applyTaxRulePack(p.tds, fyOfMonth(payYear, payMonth)) };
+  const current = calculatePayroll({ ...args, policy: payPolicy, monthlyGross: newGross, paymentDays: args.monthDays, payrollMonth: payMonth, payrollYear: payYear, arrears: null });
+  const sum = (key) => rows.reduce((a, row) => a + row[key], 0);
+  const totals = {
+    components: Object.fromEntries(current.monthly.components.map((c) => [c.abbr, rows.reduce((a, row) => a + (row.components[c.abbr] || 0), 0)])),
+    gross: sum("gross"),
+    pfEE: sum("pfEE"),
+    pfER: sum("pfER"),
+    esiEE: sum("esiEE"),
+    esiER: sum("esiER"),
+  };
+
+  // The whole of the extra tax is deducted with the arrears; a single month's run has no
+  // later months to spread it over
+  let extraTax = 0;
+  if (p.tds.apply && current.annual.taxBreakdown) {
+    const rules = taxRulesFor(payPolicy.tds, payPolicy.tds.regime);
+    const taxable = current.annual.taxBreakdown.taxable;
+    extraTax = Math.max(0, computeIncomeTax(Math.max(0, taxable + totals.gross), rules).total - computeIncomeTax(taxable, rules).total);
+  }
+
+  return {
+    components: current.monthly.components.map((c) => ({ abbr: c.abbr, name: c.name })),
+    rows,
+    totals,
+    tax: { extra: extraTax },
+  };
+}
+
+// Section 89(1) relief on revision arrears that relate to earlier years, following
+// Form 10E Annexure I. Table A recomputes each earlier FY's tax on its total income with
+// and without the arrears for that year, under that year's rule pack (the earliest pack for
+// years before it) and regime. Tax on the arrears in the year of receipt, less the Table A
+// increases, is the relief when positive. Arrears of the receiving year itself are ordinary
+// income. `years` overrides the estimated income, arrears and regime per FY; earlier years'
+// income is estimated at the old gross, the receiving year's at the new gross.
+export function computeSection89Relief({ arrears, oldGross, newGross, processingMonth, years = {}, ...args }) {
+  const { policy: p } = args;
+  const [payYear, payMonth] = processingMonth.split("-").map(Number);
+  const receivedFy = fyOfMonth(payYear, payMonth);
+  const taxableAt = (monthlyGross, tds) =>
+    calculatePayroll({ ...args, monthlyGross, paymentDays: args.monthDays, payrollMonth: payMonth, doj: null, dol: null, policy: { ...p, tds } }).annual.taxBreakdown.taxable;
+
+  const arrearsByFy = {};
+  for (const row of arrears.rows) {
+    const fy = fyOfMonth(row.year, row.month);
+    if (fy !== receivedFy) arrearsByFy[fy] = (arrearsByFy[fy] || 0) + row.gross;
+  }
+
+  const packFys = Object.keys(taxRulePacks).sort();
+  const tableA = Object.keys(arrearsByFy).sort().map((fy) => {
+    const input = years[fy] || {};
+    const packFy = taxRulePacks[fy] ? fy : packFys[0];
+    const regime = input.regime || p.tds.regime;
+    const tds = { ...applyTaxRulePack(p.tds, packFy), apply: true, regime };
+    const rules = taxRulesFor(tds, regime);
+    const estimatedIncome = taxableAt(oldGross, tds);
+    const income = input.income ?? estimatedIncome;
+    const yearArrears = input.arrears ?? arrearsByFy[fy];
+    const taxWithout = computeIncomeTax(income, rules).total;
+    const taxWith = computeIncomeTax(income + yearArrears, rules).total;
+    return {
+      fy,
+      packFy,
+      regime,
+      estimatedIncome,
+      income,
+      arrears: yearArrears,
+      incomeWith: income + yearArrears,
+      taxWithout,
+      taxWith,
+      difference: taxWith - taxWithout,
+    };
+  });
+
+  // The receiving year is taxed under its own pack too, whatever FY the policy is set to
+  const tds = applyTaxRulePack({ ...p.tds, apply: true }, receivedFy);
+  const rules = taxRulesFor(tds, tds.regime);
+  const estimatedIncome = taxableAt(newGross, tds);
+  const income = years[receivedFy]?.income ?? estimatedIncome;
+  const arrearsTotal = tableA.reduce((a, row) => a + row.arrears, 0);
+  const taxWithout = computeIncomeTax(income, rules).total;
+  const taxWith = computeIncomeTax(income + arrearsTotal, rules).total;
+  const tableADifference = tableA.reduce((a, row) => a + row.difference, 0);
+
+  return {
+    receivedFy,
+    current: {
+      estimatedIncome,
+      income,
+      arrears: arrearsTotal,
+      incomeWith: income + arrearsTotal,
+      taxWith,
+      taxWithout,
+      taxOnArrears: taxWith - taxWithout,
+    },
+    tableA,
+    tableADifference,
+    relief: Math.max(0, taxWith - taxWithout - tableADifference),
+  };
+}
+
+// Statutory limits used by the full-and-final settlement
+const settlementLimits = {
+  gratuityMinYears: 5, // Payment of Gratuity Act eligibility
+  gratuityExemption: 2000000, // Section 10(10)(ii)
+  leaveEncashmentExemption: 2500000, // Section 10(10AA)(ii), non-government employees
+  leaveDaysPerYear: 30, // leave credit counted for the 10(10AA) exemption
+};
+
+// A complete calendar date "YYYY-MM-DD" that exists (no 30 February)
+const isIsoDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return false;
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+// Why the settlement dates cannot be used, or null when they can
+export function settlementDateError({ doj, lwd }) {
+  if (!isIsoDate(doj)) return "Enter the full date of joining.";
+  if (!isIsoDate(lwd)) return "Enter the full last working day.";
+  if (lwd <= doj) return "The last working day must fall after the date of joining.";
+  return null;
+}
+
+// Service from date of joining to last working day (both "YYYY-MM-DD", inclusive). Days
+// that make up the whole of the ending month count as a month, and twelve months as a
+// year, so 1 April 2020 to 31 March 2025 is five years.
+export function serviceBetween(from, to) {
+  const [fromYear, fromMonth, fromDay] = from.split("-").map(Number);
+  const [toYear, toMonth, toDay] = to.split("-").map(Number);
+  let years = toYear - fromYear, months = toMonth - fromMonth, days = toDay - fromDay + 1;
+  if (days < 0) { months--; days += new Date(toYear, toMonth - 1, 0).getDate(); }
+  const endMonthDays = new Date(toYear, toMonth, 0).getDate();
+  if (days >= endMonthDays) { months++; days -= endMonthDays; }
+  if (months < 0) { years--; months += 12; }
+  if (months >= 12) { years++; months -= 12; }
+  return { years, months, days };
+}
+
+// Full-and-final settlement on exit. The last month pays the calendar days employed up to
+// the last working day. Gratuity = 15/26 × last (basic + DA) × completed years, where a final part
+// year of six months or more counts as a year, once service reaches five years; up to ₹20L
+// is exempt. Leave encashment = balance × (basic + DA) / 30, exempt up to the least of the
+// amount, ₹25L, ten months' (basic + DA) and the leave credit of 30 days per year. Notice
+// shortfall is recovered at gross / 30 a day, after tax, with any loan balance outstanding. TDS is the FY's tax on salary to date plus
+// the taxable settlement, less TDS deducted in the earlier months at the regular rate.
+export function computeFullAndFinal({ doj, lwd, noticeDays = 0, noticeServedDays = 0, leaveBalance = 0, ...args }) {
+  const { policy: p } = args;
+  const dateError = settlementDateError({ doj, lwd });
+  if (dateError) throw new Error(dateError);
+  const [lwdYear, lwdMonth] = lwd.split("-").map(Number);
+
+  const regular = calculatePayroll({ ...args, paymentDays: args.monthDays, payrollMonth: lwdMonth, doj: null, dol: null, arrears: null });
+  const final = calculatePayroll({ ...args, paymentDays: args.monthDays, payrollMonth: lwdMonth, payrollYear: lwdYear, doj, dol: lwd, arrears: null });
+  const lastWage = (regular.monthly.earningsFull[basicAbbr] || 0) + (regular.monthly.earningsFull.DA || 0);
+
+  const service = serviceBetween(doj, lwd);
+  const gratuityYears = service.years + (service.months >= 6 ? 1 : 0);
+  const gratuityEligible = service.years >= settlementLimits.gratuityMinYears;
+  const gratuityAmount = gratuityEligible ? Math.round((15 / 26) * lastWage * gratuityYears) : 0;
+  const gratuityExempt = Math.min(gratuityAmount, settlementLimits.gratuityExemption);
+
+  const dailyWage = lastWage / 30;
+  const leaveAmount = Math.round(leaveBalance * dailyWage);
+  const leaveCredit = Math.min(leaveBalance, settlementLimits.leaveDaysPerYear * service.years);
+  const leaveExempt = Math.round(Math.min(leaveAmount, settlementLimits.leaveEncashmentExemption, 10 * lastWage, leaveCredit * dailyWage));
+
+  const shortfallDays = Math.max(0, noticeDays - noticeServedDays);
+  const noticeRecovery = rupeesAtRate(args.monthlyGross, shortfallDays / 30);
+
+  const monthsBefore = fyMonths.indexOf(lwdMonth);
+  // TDS deducted beyond the year's liability cannot be paid back here; the employee claims it in the return
+  let tax = { withSettlement: 0, withoutSettlement: 0, deductedEarlier: 0, due: 0, excess: 0 };
+  if (p.tds.apply) {
+    const rules = taxRulesFor(p.tds, p.tds.regime);
+    const salaryIncome = monthsBefore * regular.monthly.taxableGross + final.monthly.taxableGross;
+    const settlementIncome = gratuityAmount - gratuityExempt + leaveAmount - leaveExempt;
+    const taxOn = (income) => computeIncomeTax(Math.max(0, income - regular.annual.incomeDeductions), rules).total;
+    const withSettlement = taxOn(salaryIncome + settlementIncome);
+    const deductedEarlier = monthsBefore * regular.monthly.deductions.tds;
+    tax = {
+      withSettlement,
+      withoutSettlement: taxOn(salaryIncome),
+      deductedEarlier,
+      due: Math.max(0, withSettlement - deductedEarlier),
+      excess: Math.max(0, deductedEarlier - withSettlement),
+    };
+  }
+
+  const { pfEE, vpfEE, esiEE, pt } = final.monthly.deductions;
+  const earnings = final.monthly.grossPayable + gratuityAmount + leaveAmount;
+  // Loans still owed after the final month's EMIs are recovered from the settlement
+  const loanRecovery = Math.round(final.loans.outstanding);
+  const deductions = pfEE + vpfEE + esiEE + pt + final.monthly.customDeductionsTotal + noticeRecovery + loanRecovery + tax.due;
+  const netExact = earnings - deductions;
+  const net = toRupees(paise(netExact), p.rounding?.netPay);
+
+  return {
+    service,
+    finalMonth: { year: lwdYear, month: lwdMonth, paidDays: final.employment.employedDays, daysInMonth: final.employment.daysInMonth, result: final },
+    lastWage,
+    gratuity: { eligible: gratuityEligible, years: gratuityYears, amount: gratuityAmount, exempt: gratuityExempt, taxable: gratuityAmount - gratuityExempt },
+    leave: { days: leaveBalance, credit: leaveCredit, amount: leaveAmount, exempt: leaveExempt, taxable: leaveAmount - leaveExempt },
+    notice: { required: noticeDays, served: noticeServedDays, shortfallDays, recovery: noticeRecovery },
+    loanRecovery,
+    tax,
+    earnings,
+    deductions,
+    roundingAdjustment: net - netExact,
+    net,
+  };
+}
@@ -0,0 +1,145 @@
+import { applyTaxRulePack } from "./taxRulePacks";
+import {
+  defaultPolicy,
+  calculatePayroll,
+  solveGross,
+  netPayMetric,
+  annualCtcMetric,
+  computePayrollSchedule,
+  computeArrears,
+  computeFullAndFinal,
+  serviceBetween,
+} from "./payroll";
+
+const args = {
+  fixedAllowances: { conveyance: 1600, medical: 1250, lunch: 1150 },
+  policy: defaultPolicy,
+  monthDays: 30,
+  paymentDays: 30,
+  ptState: "KA",
+  payrollMonth: 4,
+};
+
+describe("solveGross", () => {
+  test.each([18000, 50000, 150000])("finds the gross back from the net pay at %d", (gross) => {
+    const net = calculatePayroll({ ...args, monthlyGross: gross }).monthly.netPay;
+    const solved = solveGross({ ...args, target: net, metric: netPayMetric });
+    expect(solved.exact).toBe(true);
+    expect(solved.gross).toBeLessThanOrEqual(gross);
+    expect(calculatePayroll({ ...args, monthlyGross: solved.gross }).monthly.netPay).toBe(net);
+  });
+
+  test("finds the gross back from the annual CTC", () => {
+    const ctc = calculatePayroll({ ...args, monthlyGross: 75000 }).annual.ctc;
+    const solved = solveGross({ ...args, target: ctc, metric: annualCtcMetric });
+    expect(solved.exact).toBe(true);
+    expect(solved.gross).toBe(75000);
+  });
+});
+
+describe("joining and leaving dates", () => {
+  const policy = { ...defaultPolicy, tds: applyTaxRulePack(defaultPolicy.tds, "2024-25") };
+  const joiner = { ...args, policy, monthlyGross: 300000, payrollYear: 2024, doj: "2024-09-15" };
+
+  test("nothing is paid or deducted before the date of joining", () => {
+    const r = calculatePayroll(joiner);
+    expect(r.employment.employed).toBe(false);
+    expect(r.monthly.grossPayable).toBe(0);
+    expect(r.monthly.totalDeductions).toBe(0);
+    expect(r.monthly.netPay).toBe(0);
+  });
+
+  test("the joining month pays the calendar days employed", () => {
+    const r = calculatePayroll({ ...joiner, payrollMonth: 9 });
+    expect(r.employment.firstMonth).toBe(true);
+    expect(r.paymentDays).toBe(16);
+    expect(r.monthDays).toBe(30);
+  });
+
+  test("the FY schedule deducts the year's tax over the months employed only", () => {
+    const { rows, totals } = computePayrollSchedule(joiner);
+    const before = rows.filter((row) => row.employment && !row.employment.employed);
+    expect(before.map((row) => row.month)).toEqual([4, 5, 6, 7, 8]);
+    before.forEach((row) => {
+      expect(row.gross).toBe(0);
+      expect(row.tds).toBe(0);
+      expect(row.net).toBe(0);
+    });
+    rows.forEach((row) => expect(row.net).toBeGreaterThanOrEqual(0));
+    expect(rows[5].tds).toBeGreaterThan(0);
+    expect(Math.abs(totals.tds - rows[11].projectedTax)).toBeLessThanOrEqual(1);
+  });
+
+  test("months after the date of leaving deduct nothing", () => {
+    const { rows } = computePayrollSchedule({ ...joiner, doj: null, dol: "2024-10-10" });
+    rows.slice(7).forEach((row) => {
+      expect(row.gross).toBe(0);
+      expect(row.totalDeductions).toBe(0);
+    });
+  });
+
+  test("a date of leaving before the date of joining is rejected", () => {
+    expect(() => calculatePayroll({ ...joiner, dol: "2024-09-01" })).toThrow("before date of joining");
+  });
+});
+
+describe("professional tax", () => {
+  const flat = { ...args, policy: { ...defaultPolicy, pt: { apply: true, monthlyAmount: 250 } }, ptState: "FLAT", monthlyGross: 50000, payrollYear: 2024 };
+
+  test("a flat amount stops at the annual cap in the month's run", () => {
+    expect(calculatePayroll({ ...flat, payrollMonth: 1 }).monthly.deductions.pt).toBe(250);
+    expect(calculatePayroll({ ...flat, payrollMonth: 2 }).monthly.deductions.pt).toBe(0);
+  });
+
+  test("the schedule deducts no more than the annual cap", () => {
+    const { pfEE, vpfEE, esiEE } = calculatePayroll(flat).monthly.deductions;
+    expect(computePayrollSchedule(flat).totals.statutory).toBe(12 * (pfEE + vpfEE + esiEE) + 2500);
+  });
+});
+
+describe("full and final settlement", () => {
+  const settle = (doj, lwd) => computeFullAndFinal({ ...args, monthlyGross: 50000, doj, lwd });
+
+  test.each([
+    ["2020-04-01", "2025-03-31"],
+    ["2020-01-01", "2024-12-31"],
+  ])("%s to %s is exactly five years", (doj, lwd) => {
+    expect(serviceBetween(doj, lwd)).toEqual({ years: 5, months: 0, days: 0 });
+    const { gratuity } = settle(doj, lwd);
+    expect(gratuity.eligible).toBe(true);
+    expect(gratuity.years).toBe(5);
+  });
+
+  test("six months over four years rounds up, but is short of five years' service", () => {
+    expect(serviceBetween("2020-04-01", "2024-09-30")).toEqual({ years: 4, months: 6, days: 0 });
+    const { gratuity } = settle("2020-04-01", "2024-09-30");
+    expect(gratuity.years).toBe(5);
+    expect(gratuity.eligible).toBe(false);
+  });
+
+  test.each([
+    ["", "2025-03-31", "Enter the full date of joining."],
+    ["2020-04", "2025-03-31", "Enter the full date of joining."],
+    ["2020-04-01", "2025-02-30", "Enter the full last working day."],
+    ["2025-03-31", "2020-04-01", "The last working day must fall after the date of joining."],
+  ])("rejects DOJ %p and LWD %p", (doj, lwd, message) => {
+    expect(() => settle(doj, lwd)).toThrow(message);
+  });
+});
+
+describe("revision arrears", () => {
+  const revision = { ...args, oldGross: 120000, newGross: 150000, effectiveDate: "2024-10-01", processingMonth: "2025-03" };
+
+  test("the extra tax uses the pack of the year the arrears are paid in", () => {
+    const policyIn = (fy) => ({ ...defaultPolicy, tds: applyTaxRulePack(defaultPolicy.tds, fy) });
+    const extra = computeArrears({ ...revision, policy: policyIn("2024-25") }).tax.extra;
+    expect(extra).toBeGreaterThan(0);
+    expect(computeArrears({ ...revision, policy: policyIn("2025-26") }).tax.extra).toBe(extra);
+  });
+
+  test("the whole extra tax is deducted with the arrears", () => {
+    const arrears = computeArrears({ ...revision, policy: defaultPolicy });
+    const r = calculatePayroll({ ...args, monthlyGross: 150000, payrollMonth: 3, payrollYear: 2025, arrears });
+    expect(r.monthly.arrears.tds).toBe(arrears.tax.extra);
+  });
+});
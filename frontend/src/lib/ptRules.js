@@ -0,0 +1,101 @@
+// State-wise Professional Tax schedules on salary.
+// Monthly states deduct by the month's salary slab; some collect a higher February
+// instalment so the year totals the ₹2,500 constitutional cap. Tamil Nadu levies tax
+// on half-yearly income and collects it in September and March.
+// "FLAT" is not a state: it deducts policy.pt.monthlyAmount every month.
+
+export const ptAnnualCap = 2500;
+
+// Calendar months of the financial year, April to March
+export const fyMonths = [4, 5, 6, 7, 8, 9, 10, 11, 12, 1, 2, 3];
+
+export const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+export const ptStates = {
+  KA: {
+    name: "Karnataka",
+    schedule: "monthly",
+    slabs: [{ upto: 24999, amount: 0 }, { upto: Infinity, amount: 200 }],
+    februaryAmount: 300,
+  },
+  MH: {
+    name: "Maharashtra",
+    schedule: "monthly",
+    slabs: [{ upto: 7500, amount: 0 }, { upto: 10000, amount: 175 }, { upto: Infinity, amount: 200 }],
+    februaryAmount: 300,
+  },
+  WB: {
+    name: "West Bengal",
+    schedule: "monthly",
+    slabs: [
+      { upto: 10000, amount: 0 },
+      { upto: 15000, amount: 110 },
+      { upto: 25000, amount: 130 },
+      { upto: 40000, amount: 150 },
+      { upto: Infinity, amount: 200 },
+    ],
+  },
+  TN: {
+    name: "Tamil Nadu",
+    schedule: "halfYearly",
+    collectionMonths: [9, 3],
+    slabs: [
+      { upto: 21000, amount: 0 },
+      { upto: 30000, amount: 180 },
+      { upto: 45000, amount: 425 },
+      { upto: 60000, amount: 930 },
+      { upto: 75000, amount: 1025 },
+      { upto: Infinity, amount: 1250 },
+    ],
+  },
+  TS: {
+    name: "Telangana",
+    schedule: "monthly",
+    slabs: [{ upto: 15000, amount: 0 }, { upto: 20000, amount: 150 }, { upto: Infinity, amount: 200 }],
+  },
+  AP: {
+    name: "Andhra Pradesh",
+    schedule: "monthly",
+    slabs: [{ upto: 15000, amount: 0 }, { upto: 20000, amount: 150 }, { upto: Infinity, amount: 200 }],
+  },
+  GJ: {
+    name: "Gujarat",
+    schedule: "monthly",
+    slabs: [{ upto: 12000, amount: 0 }, { upto: Infinity, amount: 200 }],
+  },
+};
+
+const slabAmount = (slabs, income) => (slabs.find(({ upto }) => income <= upto) || slabs[slabs.length - 1]).amount;
+
+function scheduledAmount({ state, monthlyGross, month, flatAmount }) {
+  const rule = ptStates[state];
+  if (!rule) return Math.round(flatAmount);
+  if (rule.schedule === "halfYearly") {
+    return rule.collectionMonths.includes(month) ? slabAmount(rule.slabs, monthlyGross * 6) : 0;
+  }
+  const amount = slabAmount(rule.slabs, monthlyGross);
+  const topSlab = amount === rule.slabs[rule.slabs.length - 1].amount;
+  return month === 2 && topSlab && rule.februaryAmount ? rule.februaryAmount : amount;
+}
+
+// PT deducted in calendar month `month` (1-12) on that month's salary, held to what is left
+// of ptAnnualCap after `paidSoFar`, the PT already deducted in the FY.
+export function computeProfessionalTax({ state, monthlyGross, month, flatAmount = 0, paidSoFar = 0 }) {
+  return Math.min(scheduledAmount({ state, monthlyGross, month, flatAmount }), Math.max(0, ptAnnualCap - paidSoFar));
+}
+
+// PT deducted in each FY month, April to March, at a steady monthly salary. Months for
+// which `employed(month)` is false deduct nothing.
+export function professionalTaxByMonth({ state, monthlyGross, flatAmount = 0, employed = () => true }) {
+  let paid = 0;
+  return fyMonths.map((month) => {
+    const amount = employed(month) ? computeProfessionalTax({ state, monthlyGross, month, flatAmount, paidSoFar: paid }) : 0;
+    paid += amount;
+    return amount;
+  });
+}
+
+// PT over a financial year at a steady monthly salary, at most ptAnnualCap.
+export function computeAnnualProfessionalTax(args) {
+  return professionalTaxByMonth(args).reduce((sum, amount) => sum + amount, 0);
+}
@@ -0,0 +1,27 @@
+import { computeProfessionalTax, computeAnnualProfessionalTax, professionalTaxByMonth, ptAnnualCap } from "./ptRules";
+
+describe("computeProfessionalTax", () => {
+  test("follows the state's slab and February instalment", () => {
+    expect(computeProfessionalTax({ state: "KA", monthlyGross: 50000, month: 1 })).toBe(200);
+    expect(computeProfessionalTax({ state: "KA", monthlyGross: 50000, month: 2 })).toBe(300);
+    expect(computeProfessionalTax({ state: "KA", monthlyGross: 20000, month: 2 })).toBe(0);
+  });
+
+  test("deducts no more than the annual cap has left", () => {
+    expect(computeProfessionalTax({ state: "KA", monthlyGross: 50000, month: 2, paidSoFar: 2300 })).toBe(200);
+    expect(computeProfessionalTax({ state: "FLAT", monthlyGross: 50000, month: 3, flatAmount: 250, paidSoFar: 2500 })).toBe(0);
+  });
+});
+
+describe("professionalTaxByMonth", () => {
+  test("a flat amount stops once the year reaches the cap", () => {
+    const months = professionalTaxByMonth({ state: "FLAT", monthlyGross: 50000, flatAmount: 250 });
+    expect(months).toEqual([250, 250, 250, 250, 250, 250, 250, 250, 250, 250, 0, 0]);
+    expect(computeAnnualProfessionalTax({ state: "FLAT", monthlyGross: 50000, flatAmount: 250 })).toBe(ptAnnualCap);
+  });
+
+  test("months outside the employment deduct nothing", () => {
+    const months = professionalTaxByMonth({ state: "MH", monthlyGross: 50000, employed: (month) => month <= 3 });
+    expect(months).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0, 200, 300, 200]);
+  });
+});
@@ -0,0 +1,251 @@
+// Formula-driven salary structures, ERPNext style. Every earning component has an
+// abbreviation, a formula and an optional condition written in a small expression
+// language: numbers, + - * / %, comparisons, and/or/not, parentheses and the functions
+// below, over the structure variables and other components' abbreviations.
+// Expressions are parsed into a tree and walked directly — nothing is passed to eval —
+// and components are evaluated in dependency order, so a formula may use a component
+// listed after it. Unknown names and circular references are reported as errors.
+
+import { paise, toRupees } from "./money";
+
+// Built-in names a formula can read. `base` is ERPNext's name for the assignment base.
+export const structureVariables = [
+  { name: "gross", description: "Monthly gross" },
+  { name: "base", description: "Same as gross" },
+  { name: "basicPct", description: "Basic % of Gross slider" },
+  { name: "hraPct", description: "HRA % of Basic slider" },
+  { name: "conveyance", description: "Conveyance input" },
+  { name: "medical", description: "Medical input" },
+  { name: "lunch", description: "Lunch input" },
+];
+
+// The engine reads Basic and HRA from these abbreviations (PF wage, gratuity, HRA exemption)
+export const basicAbbr = "B";
+export const hraAbbr = "HRA";
+
+const prorate = { mode: "prorate", min: 0 };
+const fixed = { mode: "fixed", min: 0 };
+
+// The classic split: Basic % of Gross, HRA % of Basic, fixed allowances and a balancing Special
+export const defaultStructure = [
+  { abbr: "B", name: "Basic", formula: "gross * basicPct", condition: "", proration: prorate, rounding: "nearest" },
+  { abbr: "HRA", name: "HRA", formula: "B * hraPct", condition: "", proration: prorate, rounding: "nearest" },
+  { abbr: "SA", name: "Special Allowance", formula: "max(0, gross - B - HRA - CA - MA - LA)", condition: "", proration: prorate, rounding: "nearest" },
+  { abbr: "CA", name: "Conveyance Allowance", formula: "conveyance", condition: "", proration: fixed, rounding: "nearest" },
+  { abbr: "MA", name: "Medical Allowance", formula: "medical", condition: "", proration: fixed, rounding: "nearest" },
+  { abbr: "LA", name: "Lunch Allowance", formula: "lunch", condition: "", proration: fixed, rounding: "nearest" },
+];
+
+export const structureFunctions = {
+  max: { arity: [1, Infinity], fn: Math.max },
+  min: { arity: [1, Infinity], fn: Math.min },
+  round: { arity: [1, 1], fn: Math.round },
+  floor: { arity: [1, 1], fn: Math.floor },
+  ceil: { arity: [1, 1], fn: Math.ceil },
+  abs: { arity: [1, 1], fn: Math.abs },
+};
+
+const keywords = { and: "and", or: "or", not: "not", "&&": "and", "||": "or", "!": "not" };
+// Own keys only, so names like "constructor" or "toString" are not found on Object.prototype
+const has = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+const identifier = /^[A-Za-z_]\w*$/;
+const tokenPattern = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|([A-Za-z_]\w*)|(>=|<=|==|!=|&&|\|\||[-+*/%()<>,!]))/y;
+
+function tokenize(src) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < src.length && src.slice(pos).trim()) {
+    tokenPattern.lastIndex = pos;
+    const m = tokenPattern.exec(src);
+    if (!m) {
+      const at = pos + (src.slice(pos).length - src.slice(pos).trimStart().length);
+      throw new Error(`unexpected "${src[at]}" at position ${at + 1}`);
+    }
+    const [, num, name, op] = m;
+    if (num !== undefined) tokens.push({ type: "num", value: parseFloat(num) });
+    else if (name !== undefined) tokens.push(has(keywords, name) ? { type: "op", value: keywords[name] } : { type: "name", value: name });
+    else tokens.push({ type: "op", value: has(keywords, op) ? keywords[op] : op });
+    pos = tokenPattern.lastIndex;
+  }
+  return tokens;
+}
+
+// Recursive descent, lowest precedence first: or, and, not, comparison, + -, * / %, unary.
+export function parseExpression(src) {
+  const tokens = tokenize(String(src ?? ""));
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (...ops) => peek()?.type === "op" && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) throw new Error(peek() ? `expected "${op}" before "${peek().value}"` : `expected "${op}" at end`);
+    i++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[i++].value;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const t = tokens[i++];
+    if (!t) throw new Error("expression is incomplete");
+    if (t.type === "num") return { type: "num", value: t.value };
+    if (t.type === "name") {
+      if (!isOp("(")) return { type: "var", name: t.value };
+      if (!has(structureFunctions, t.value)) throw new Error(`unknown function "${t.value}"`);
+      const fn = structureFunctions[t.value];
+      i++;
+      const args = [];
+      if (!isOp(")")) {
+        args.push(or());
+        while (isOp(",")) { i++; args.push(or()); }
+      }
+      expect(")");
+      if (args.length < fn.arity[0] || args.length > fn.arity[1]) throw new Error(`wrong number of arguments to ${t.value}()`);
+      return { type: "call", name: t.value, args };
+    }
+    if (t.value === "(") {
+      const inner = or();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`unexpected "${t.value}"`);
+  };
+  const unary = () => {
+    if (isOp("-", "+")) return { type: "unary", op: tokens[i++].value, arg: unary() };
+    return primary();
+  };
+  const term = binary(unary, ["*", "/", "%"]);
+  const additive = binary(term, ["+", "-"]);
+  const comparison = () => {
+    const left = additive();
+    if (!isOp(">", "<", ">=", "<=", "==", "!=")) return left;
+    const op = tokens[i++].value;
+    return { type: "binary", op, left, right: additive() };
+  };
+  const not = () => {
+    if (!isOp("not")) return comparison();
+    i++;
+    return { type: "unary", op: "not", arg: not() };
+  };
+  const and = binary(not, ["and"]);
+  const or = binary(and, ["or"]);
+
+  if (!tokens.length) throw new Error("expression is empty");
+  const ast = or();
+  if (i < tokens.length) throw new Error(`unexpected "${tokens[i].value}"`);
+  return ast;
+}
+
+function namesIn(node, names = new Set()) {
+  if (node.type === "var") names.add(node.name);
+  else if (node.type === "unary") namesIn(node.arg, names);
+  else if (node.type === "binary") { namesIn(node.left, names); namesIn(node.right, names); }
+  else if (node.type === "call") node.args.forEach((a) => namesIn(a, names));
+  return names;
+}
+
+// Comparisons and logic yield 1 or 0; division or remainder by zero yields 0.
+export function evaluateExpression(node, scope) {
+  switch (node.type) {
+    case "num": return node.value;
+    case "var": return scope[node.name] ?? 0;
+    case "call": return structureFunctions[node.name].fn(...node.args.map((a) => evaluateExpression(a, scope)));
+    case "unary": {
+      const v = evaluateExpression(node.arg, scope);
+      return node.op === "not" ? Number(!v) : node.op === "-" ? -v : v;
+    }
+    default: {
+      const a = evaluateExpression(node.left, scope);
+      const b = evaluateExpression(node.right, scope);
+      switch (node.op) {
+        case "+": return a + b;
+        case "-": return a - b;
+        case "*": return a * b;
+        case "/": return b === 0 ? 0 : a / b;
+        case "%": return b === 0 ? 0 : a % b;
+        case ">": return Number(a > b);
+        case "<": return Number(a < b);
+        case ">=": return Number(a >= b);
+        case "<=": return Number(a <= b);
+        case "==": return Number(a === b);
+        case "!=": return Number(a !== b);
+        case "and": return Number(Boolean(a) && Boolean(b));
+        default: return Number(Boolean(a) || Boolean(b));
+      }
+    }
+  }
+}
+
+// Parses every formula and condition, checks abbreviations and names, and orders the
+// components so each is evaluated after the components it reads.
+// Returns { components, order, errors }; the structure is usable only when errors is empty.
+export function compileStructure(components, variables = structureVariables.map((v) => v.name)) {
+  const errors = [];
+  const abbrs = new Set();
+  const compiled = components.map((c, idx) => {
+    const label = c.name?.trim() || `Component ${idx + 1}`;
+    if (!identifier.test(c.abbr || "")) {
+      errors.push(`${label}: abbreviation "${c.abbr || ""}" must start with a letter and use only letters, digits and _`);
+    } else if (variables.includes(c.abbr) || has(structureFunctions, c.abbr) || has(keywords, c.abbr)) {
+      errors.push(`${label}: abbreviation "${c.abbr}" is a reserved name`);
+    } else if (abbrs.has(c.abbr)) {
+      errors.push(`${label}: abbreviation "${c.abbr}" is used twice`);
+    }
+    abbrs.add(c.abbr);
+
+    const parse = (src, what) => {
+      try {
+        return parseExpression(src);
+      } catch (e) {
+        errors.push(`${label} ${what}: ${e.message}`);
+        return null;
+      }
+    };
+    const formulaAst = parse(c.formula, "formula") || { type: "num", value: 0 };
+    const conditionAst = c.condition?.trim() ? parse(c.condition, "condition") : null;
+    const deps = [...namesIn(formulaAst), ...(conditionAst ? namesIn(conditionAst) : [])];
+    return { ...c, label, formulaAst, conditionAst, deps };
+  });
+
+  for (const c of compiled) {
+    for (const name of new Set(c.deps)) {
+      if (!abbrs.has(name) && !variables.includes(name)) errors.push(`${c.label}: unknown name "${name}"`);
+    }
+  }
+
+  const byAbbr = Object.fromEntries(compiled.map((c) => [c.abbr, c]));
+  const state = {};
+  const order = [];
+  const visit = (c, path) => {
+    if (state[c.abbr] === "done") return;
+    if (state[c.abbr] === "visiting") {
+      errors.push(`Circular reference: ${[...path.slice(path.indexOf(c.abbr)), c.abbr].join(" → ")}`);
+      return;
+    }
+    state[c.abbr] = "visiting";
+    for (const dep of c.deps) if (has(byAbbr, dep)) visit(byAbbr[dep], [...path, c.abbr]);
+    state[c.abbr] = "done";
+    order.push(c);
+  };
+  compiled.forEach((c) => visit(c, []));
+
+  return { components: compiled, order, errors: [...new Set(errors)] };
+}
+
+// Full-month amount of every component in structure order, rounded to the rupee under the
+// component's rounding mode. A component whose condition is false pays 0; later formulas
+// see the rounded amounts.
+export function evaluateStructure({ components, order }, variables) {
+  const scope = { ...variables };
+  for (const c of order) {
+    const applies = !c.conditionAst || Boolean(evaluateExpression(c.conditionAst, scope));
+    const value = applies ? evaluateExpression(c.formulaAst, scope) : 0;
+    scope[c.abbr] = Number.isFinite(value) ? toRupees(paise(value), c.rounding) : 0;
+  }
+  return components.map((c) => ({ abbr: c.abbr, name: c.name, amount: scope[c.abbr], proration: c.proration, rounding: c.rounding }));
+}
@@ -0,0 +1,74 @@
+import { parseExpression, evaluateExpression, compileStructure, evaluateStructure } from "./salaryStructure";
+
+const evaluate = (src, scope = {}) => evaluateExpression(parseExpression(src), scope);
+const component = (abbr, formula, condition = "") => ({ abbr, name: abbr, formula, condition, rounding: "nearest" });
+
+describe("parseExpression", () => {
+  test.each([
+    ["2 + 3 * 4", 14],
+    ["(2 + 3) * 4", 20],
+    ["10 - 4 - 3", 3],
+    ["-2 * 3 + 10 % 4", -4],
+    ["1 + 2 > 2 and not 0", 1],
+    ["0 or 1 and 0", 0],
+    ["!(1 == 1) || 2 != 3", 1],
+    ["max(1, min(5, 3), 2)", 3],
+    ["10 / 0", 0],
+  ])("%s = %d", (src, expected) => {
+    expect(evaluate(src)).toBe(expected);
+  });
+
+  test("reads variables from the scope", () => {
+    expect(evaluate("gross * basicPct", { gross: 50000, basicPct: 0.4 })).toBe(20000);
+  });
+
+  test.each([
+    ["", "expression is empty"],
+    ["1 +", "expression is incomplete"],
+    ["(1 + 2", 'expected ")" at end'],
+    ["1 < 2 < 3", 'unexpected "<"'],
+    ["round(1, 2)", "wrong number of arguments to round()"],
+    ["1 $ 2", 'unexpected "$" at position 3'],
+  ])("rejects %p", (src, message) => {
+    expect(() => parseExpression(src)).toThrow(message);
+  });
+
+  test.each(["toString", "constructor", "hasOwnProperty"])("%s() is not a function", (name) => {
+    expect(() => parseExpression(`${name}(1)`)).toThrow(`unknown function "${name}"`);
+  });
+});
+
+describe("compileStructure", () => {
+  test("orders components after the ones they read", () => {
+    const compiled = compileStructure([component("SA", "gross - B - HRA"), component("HRA", "B / 2"), component("B", "gross / 2")]);
+    expect(compiled.errors).toEqual([]);
+    expect(compiled.order.map((c) => c.abbr)).toEqual(["B", "HRA", "SA"]);
+    expect(evaluateStructure(compiled, { gross: 1000 }).map((c) => c.amount)).toEqual([250, 250, 500]);
+  });
+
+  test("a false condition pays nothing", () => {
+    const compiled = compileStructure([component("B", "gross"), component("X", "100", "gross > 5000")]);
+    expect(evaluateStructure(compiled, { gross: 4000 })[1].amount).toBe(0);
+    expect(evaluateStructure(compiled, { gross: 6000 })[1].amount).toBe(100);
+  });
+
+  test("reports circular references", () => {
+    const { errors } = compileStructure([component("A", "B + 1"), component("B", "C"), component("C", "A")]);
+    expect(errors).toContain("Circular reference: A → B → C → A");
+  });
+
+  test("reports a component that reads itself", () => {
+    expect(compileStructure([component("A", "A + 1")]).errors).toContain("Circular reference: A → A");
+  });
+
+  test.each(["gross", "max", "and"])("%s is a reserved abbreviation", (abbr) => {
+    expect(compileStructure([component(abbr, "1")]).errors).toEqual([`${abbr}: abbreviation "${abbr}" is a reserved name`]);
+  });
+
+  test("names from Object.prototype are unknown, and usable as abbreviations", () => {
+    expect(compileStructure([component("A", "constructor + 1")]).errors).toEqual(['A: unknown name "constructor"']);
+    const compiled = compileStructure([component("toString", "gross"), component("B", "toString * 2")]);
+    expect(compiled.errors).toEqual([]);
+    expect(evaluateStructure(compiled, { gross: 100 }).map((c) => c.amount)).toEqual([100, 200]);
+  });
+});
@@ -0,0 +1,109 @@
+// Income-tax rule packs by financial year (salary TDS).
+// Each pack carries both regimes' slabs, standard deduction, Section 87A rebate
+// threshold (the rebate wipes out slab tax up to that taxable income) and surcharge
+// bands, the 80CCD(2) employer-NPS cap as a share of basic, plus the cess rate. The new regime caps surcharge at 25% and, from FY 2023-24,
+// grants 87A marginal relief so tax just above the rebate limit never exceeds the excess.
+
+const slabsOld = [
+  { upto: 250000, rate: 0.00 },
+  { upto: 500000, rate: 0.05 },
+  { upto: 1000000, rate: 0.20 },
+  { upto: Infinity, rate: 0.30 },
+];
+
+const surchargeOld = [
+  { above: 5000000, rate: 0.10 },
+  { above: 10000000, rate: 0.15 },
+  { above: 20000000, rate: 0.25 },
+  { above: 50000000, rate: 0.37 },
+];
+
+const surchargeNew = surchargeOld.filter(({ rate }) => rate <= 0.25);
+
+export const taxRulePacks = {
+  "2023-24": {
+    label: "FY 2023-24 (AY 2024-25)",
+    new: {
+      standardDeduction: 50000,
+      rebate87AThreshold: 700000,
+      slabs: [
+        { upto: 300000, rate: 0.00 },
+        { upto: 600000, rate: 0.05 },
+        { upto: 900000, rate: 0.10 },
+        { upto: 1200000, rate: 0.15 },
+        { upto: 1500000, rate: 0.20 },
+        { upto: Infinity, rate: 0.30 },
+      ],
+      surcharge: surchargeNew,
+      employerNpsCapRate: 0.10,
+      rebate87AMarginalRelief: true,
+    },
+    old: { standardDeduction: 50000, rebate87AThreshold: 500000, slabs: slabsOld, surcharge: surchargeOld, employerNpsCapRate: 0.10 },
+    cessRate: 0.04,
+  },
+  "2024-25": {
+    label: "FY 2024-25 (AY 2025-26)",
+    new: {
+      standardDeduction: 75000,
+      rebate87AThreshold: 700000,
+      slabs: [
+        { upto: 300000, rate: 0.00 },
+        { upto: 700000, rate: 0.05 },
+        { upto: 1000000, rate: 0.10 },
+        { upto: 1200000, rate: 0.15 },
+        { upto: 1500000, rate: 0.20 },
+        { upto: Infinity, rate: 0.30 },
+      ],
+      surcharge: surchargeNew,
+      employerNpsCapRate: 0.14,
+      rebate87AMarginalRelief: true,
+    },
+    old: { standardDeduction: 50000, rebate87AThreshold: 500000, slabs: slabsOld, surcharge: surchargeOld, employerNpsCapRate: 0.10 },
+    cessRate: 0.04,
+  },
+  "2025-26": {
+    label: "FY 2025-26 (AY 2026-27)",
+    new: {
+      standardDeduction: 75000,
+      rebate87AThreshold: 1200000,
+      slabs: [
+        { upto: 400000, rate: 0.00 },
+        { upto: 800000, rate: 0.05 },
+        { upto: 1200000, rate: 0.10 },
+        { upto: 1600000, rate: 0.15 },
+        { upto: 2000000, rate: 0.20 },
+        { upto: 2400000, rate: 0.25 },
+        { upto: Infinity, rate: 0.30 },
+      ],
+      surcharge: surchargeNew,
+      employerNpsCapRate: 0.14,
+      rebate87AMarginalRelief: true,
+    },
+    old: { standardDeduction: 50000, rebate87AThreshold: 500000, slabs: slabsOld, surcharge: surchargeOld, employerNpsCapRate: 0.10 },
+    cessRate: 0.04,
+  },
+};
+
+export const latestFY = "2025-26";
+
+// Returns policy.tds with the pack for `fy` loaded; regime and apply are kept as they are.
+export function applyTaxRulePack(tds, fy) {
+  const pack = taxRulePacks[fy];
+  if (!pack) return tds;
+  return {
+    ...tds,
+    fy,
+    standardDeduction: pack.new.standardDeduction,
+    rebate87AThreshold: pack.new.rebate87AThreshold,
+    rebate87AMarginalRelief: pack.new.rebate87AMarginalRelief,
+    slabsNew: pack.new.slabs,
+    surchargeNew: pack.new.surcharge,
+    employerNpsCapRate: pack.new.employerNpsCapRate,
+    standardDeductionOld: pack.old.standardDeduction,
+    rebate87AThresholdOld: pack.old.rebate87AThreshold,
+    slabsOld: pack.old.slabs,
+    surchargeOld: pack.old.surcharge,
+    employerNpsCapRateOld: pack.old.employerNpsCapRate,
+    cessRate: pack.cessRate,
+  };
+}
@@ -0,0 +1,48 @@
+import { taxRulePacks, applyTaxRulePack } from "./taxRulePacks";
+import { computeIncomeTax, taxRulesFor } from "./payroll";
+
+const rulesFor = (fy, regime) => taxRulesFor(applyTaxRulePack({ apply: true, regime }, fy), regime);
+
+describe.each(Object.keys(taxRulePacks))("FY %s", (fy) => {
+  const pack = taxRulePacks[fy];
+
+  describe("new regime", () => {
+    const rules = rulesFor(fy, "new");
+    const threshold = pack.new.rebate87AThreshold;
+
+    test("87A rebate wipes out tax up to the threshold", () => {
+      const tax = computeIncomeTax(threshold, rules);
+      expect(tax.slabTax).toBeGreaterThan(0);
+      expect(tax.rebate).toBe(tax.slabTax);
+      expect(tax.total).toBe(0);
+    });
+
+    test("marginal relief caps tax just above the threshold at the excess", () => {
+      const tax = computeIncomeTax(threshold + 1000, rules);
+      expect(tax.rebate).toBe(0);
+      expect(tax.marginalRelief).toBe(tax.slabTax - 1000);
+      expect(tax.total).toBe(Math.round(1000 * (1 + pack.cessRate)));
+    });
+
+    test("marginal relief ends once slab tax is below the excess", () => {
+      const tax = computeIncomeTax(threshold + 200000, rules);
+      expect(tax.marginalRelief).toBe(0);
+      expect(tax.total).toBe(Math.round(tax.slabTax * (1 + pack.cessRate)));
+    });
+  });
+
+  describe("old regime", () => {
+    const rules = rulesFor(fy, "old");
+    const threshold = pack.old.rebate87AThreshold;
+
+    test("87A rebate wipes out tax up to the threshold", () => {
+      expect(computeIncomeTax(threshold, rules).total).toBe(0);
+    });
+
+    test("no marginal relief above the threshold", () => {
+      const tax = computeIncomeTax(threshold + 1000, rules);
+      expect(tax.marginalRelief).toBe(0);
+      expect(tax.total).toBe(Math.round(tax.slabTax * (1 + pack.cessRate)));
+    });
+  });
+});